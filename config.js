@@ -0,0 +1,202 @@
+/**
+ * config.js - Environment validation
+ * Every setting server.js reads is declared here with its type. Bad values and
+ * missing required settings stop startup with one message listing every problem.
+ * Optional integrations are all-or-nothing: half a set of credentials is an error,
+ * none of them simply disables the integration.
+ */
+
+const SCHEMA = {
+  PORT: { type: 'int', min: 1, max: 65535, default: 3000 },
+  SITE_URL: { type: 'url' },
+  NODE_ENV: { type: 'string', default: 'development' },
+  MONGODB_URI: { type: 'string', required: true, pattern: /^mongodb(\+srv)?:\/\//, hint: 'a mongodb:// or mongodb+srv:// URI' },
+
+  PAYSTACK_PUBLIC_KEY: { type: 'string' },
+  PAYSTACK_SECRET_KEY: { type: 'string' },
+  PAYSTACK_WEBHOOK_SECRET: { type: 'string' },
+  FLW_PUBLIC_KEY: { type: 'string' },
+  FLW_SECRET_KEY: { type: 'string' },
+  FLW_SECRET_HASH: { type: 'string' },
+  PAYMENT_PROVIDER: { type: 'enum', values: ['paystack', 'flutterwave'], default: 'paystack' },
+  PAYMENT_FALLBACK_PROVIDER: { type: 'enum', values: ['paystack', 'flutterwave'] },
+
+  FB_PIXEL_ID: { type: 'string' },
+  FB_ACCESS_TOKEN: { type: 'string' },
+  FB_GRAPH_VERSION: { type: 'string', pattern: /^v\d+\.\d+$/, hint: 'e.g. v23.0', default: 'v23.0' },
+  FB_TEST_EVENT_CODE: { type: 'string' },
+
+  TELEGRAM_BOT_TOKEN: { type: 'string' },
+  TELEGRAM_CHAT_ID: { type: 'string' },
+  TELEGRAM_WEBHOOK_SECRET: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,256}$/, hint: '1-256 of A-Z a-z 0-9 _ -' },
+  TELEGRAM_ADMIN_IDS: { type: 'string', pattern: /^\d+(\s*,\s*\d+)*$/, hint: 'comma-separated Telegram user ids (not chat ids)' },
+  TELEGRAM_API_URL: { type: 'url', default: 'https://api.telegram.org' },
+
+  WHATSAPP_PHONE_NUMBER_ID: { type: 'string', pattern: /^\d+$/, hint: 'the numeric id from WhatsApp Manager' },
+  WHATSAPP_ACCESS_TOKEN: { type: 'string' },
+  WHATSAPP_TEMPLATE_NAME: { type: 'string', pattern: /^[a-z0-9_]+$/, hint: 'an approved template name like guide_delivery' },
+  WHATSAPP_TEMPLATE_LANGUAGE: { type: 'string', pattern: /^[a-z]{2,3}(_[A-Z]{2})?$/, hint: 'e.g. en or en_US', default: 'en' },
+  WHATSAPP_APP_SECRET: { type: 'string' },
+  WHATSAPP_VERIFY_TOKEN: { type: 'string' },
+  WHATSAPP_GRAPH_URL: { type: 'url', default: 'https://graph.facebook.com' },
+
+  SMTP_HOST: { type: 'string' },
+  SMTP_PORT: { type: 'int', min: 1, max: 65535, default: 587 },
+  SMTP_USER: { type: 'string' },
+  SMTP_PASS: { type: 'string' },
+  SMTP_SECURE: { type: 'boolean', default: false },
+  SMTP_IGNORE_TLS: { type: 'boolean', default: false },
+  MAIL_FROM: { type: 'string' },
+  MAIL_REPLY_TO: { type: 'string' },
+  RECEIPT_NOTE: { type: 'string' },
+
+  ADMIN_API_KEY: { type: 'string' },
+  ADMIN_API_KEYS: { type: 'string' },
+
+  DOWNLOAD_SECRET: { type: 'string' },
+  DOWNLOAD_TTL_HOURS: { type: 'number', min: 1, default: 72 },
+  DOWNLOAD_MAX: { type: 'int', min: 1, default: 10 },
+  DOWNLOADS_DIR: { type: 'string' },
+
+  RATE_LIMIT_STORE: { type: 'enum', values: ['memory', 'mongo'], default: 'memory' },
+  TRUST_PROXY_HOPS: { type: 'int', min: 0, max: 10, default: 1 },
+  POW_DIFFICULTY: { type: 'int', min: 0, max: 24, default: 0 },
+
+  RECONCILE_MIN_AGE_MINUTES: { type: 'number', min: 1, default: 30 },
+  RECONCILE_INTERVAL_MINUTES: { type: 'number', min: 1, default: 15 },
+
+  CART_RECOVERY_ENABLED: { type: 'boolean', default: false },
+  CART_RECOVERY_DELAYS_MINUTES: { type: 'string', pattern: /^\d+(\s*,\s*\d+)*$/, hint: 'comma-separated minutes after checkout, e.g. 60,1440', default: '60,1440' },
+
+  PRODUCT_NAME: { type: 'string' },
+  PRODUCT_ID: { type: 'string' },
+  PRODUCT_PRICE_KOBO: { type: 'int', min: 1 },
+  CURRENCY: { type: 'string', pattern: /^[A-Z]{3}$/, hint: 'an ISO code like NGN', default: 'NGN' },
+  DRIVE_LINK: { type: 'url' },
+  WHATSAPP_GROUP_URL: { type: 'url' }
+};
+
+// Optional integrations and the settings each one needs
+const INTEGRATIONS = {
+  paystack: ['PAYSTACK_PUBLIC_KEY', 'PAYSTACK_SECRET_KEY'],
+  flutterwave: ['FLW_PUBLIC_KEY', 'FLW_SECRET_KEY', 'FLW_SECRET_HASH'],
+  capi: ['FB_PIXEL_ID', 'FB_ACCESS_TOKEN'],
+  telegram: ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'],
+  whatsapp: ['WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_TEMPLATE_NAME', 'WHATSAPP_APP_SECRET', 'WHATSAPP_VERIFY_TOKEN'],
+  smtp: ['SMTP_HOST', 'MAIL_FROM']
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function parseValue(name, rule, raw) {
+  const fail = (expected) => {
+    throw new Error(`${name} must be ${expected} (got "${raw}")`);
+  };
+
+  switch (rule.type) {
+    case 'int':
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (rule.type === 'int' && !Number.isInteger(value))) {
+        fail(rule.type === 'int' ? 'a whole number' : 'a number');
+      }
+      if (rule.min != null && value < rule.min) fail(`at least ${rule.min}`);
+      if (rule.max != null && value > rule.max) fail(`at most ${rule.max}`);
+      return value;
+    }
+    case 'boolean':
+      if (raw === 'true' || raw === '1') return true;
+      if (raw === 'false' || raw === '0') return false;
+      return fail('true or false');
+    case 'url':
+      try {
+        const url = new URL(raw);
+        if (!/^https?:$/.test(url.protocol)) fail('an http(s) URL');
+      } catch (e) {
+        if (e.message.startsWith(name)) throw e;
+        fail('an http(s) URL');
+      }
+      return raw.replace(/\/+$/, '');
+    case 'enum':
+      if (!rule.values.includes(raw)) fail(`one of ${rule.values.join(', ')}`);
+      return raw;
+    default:
+      if (rule.pattern && !rule.pattern.test(raw)) fail(rule.hint || `a value matching ${rule.pattern}`);
+      return raw;
+  }
+}
+
+/**
+ * Validate process.env-style input
+ * Returns the parsed settings plus `integrations` ({ paystack: true, smtp: false, ... });
+ * throws a ConfigError listing every problem found
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const config = {};
+
+  for (const [name, rule] of Object.entries(SCHEMA)) {
+    const raw = typeof env[name] === 'string' ? env[name].trim() : env[name];
+    if (raw === undefined || raw === '') {
+      if (rule.required) problems.push(`${name} is required${rule.hint ? ` (${rule.hint})` : ''}`);
+      config[name] = rule.default;
+      continue;
+    }
+    try {
+      config[name] = parseValue(name, rule, raw);
+    } catch (e) {
+      problems.push(e.message);
+    }
+  }
+
+  const integrations = {};
+  for (const [integration, keys] of Object.entries(INTEGRATIONS)) {
+    const missing = keys.filter((key) => config[key] == null);
+    if (missing.length && missing.length < keys.length) {
+      problems.push(`${integration} is partly configured: set ${missing.join(', ')} or unset ${keys.filter((k) => !missing.includes(k)).join(', ')}`);
+    }
+    integrations[integration] = !missing.length;
+  }
+
+  if (!integrations[config.PAYMENT_PROVIDER]) {
+    problems.push(`PAYMENT_PROVIDER is ${config.PAYMENT_PROVIDER} but ${INTEGRATIONS[config.PAYMENT_PROVIDER].join(', ')} are not set`);
+  }
+  if (config.PAYMENT_FALLBACK_PROVIDER && !integrations[config.PAYMENT_FALLBACK_PROVIDER]) {
+    problems.push(`PAYMENT_FALLBACK_PROVIDER is ${config.PAYMENT_FALLBACK_PROVIDER} but ${INTEGRATIONS[config.PAYMENT_FALLBACK_PROVIDER].join(', ')} are not set`);
+  }
+  // The admin bot replies through the same bot that sends the notifications
+  if (config.TELEGRAM_WEBHOOK_SECRET && !integrations.telegram) {
+    problems.push(`TELEGRAM_WEBHOOK_SECRET is set but ${INTEGRATIONS.telegram.join(', ')} are not`);
+  }
+  // Without named admins the bot would answer anyone in the sale chat
+  if (config.TELEGRAM_WEBHOOK_SECRET && !config.TELEGRAM_ADMIN_IDS) {
+    problems.push('TELEGRAM_ADMIN_IDS is required when TELEGRAM_WEBHOOK_SECRET is set');
+  }
+  // Reminder emails carry absolute resume / unsubscribe links
+  if (config.CART_RECOVERY_ENABLED && !integrations.smtp) {
+    problems.push(`CART_RECOVERY_ENABLED is set but ${INTEGRATIONS.smtp.join(', ')} are not`);
+  }
+  if (config.CART_RECOVERY_ENABLED && !config.SITE_URL) {
+    problems.push('SITE_URL is required when CART_RECOVERY_ENABLED is set');
+  }
+  const cartDelays = String(config.CART_RECOVERY_DELAYS_MINUTES || '').split(',').map(Number);
+  if (cartDelays.some((d, i) => d < 1 || (i && d <= cartDelays[i - 1]))) {
+    problems.push('CART_RECOVERY_DELAYS_MINUTES must be increasing and at least 1');
+  }
+  // The legacy single-product seed needs a real price
+  if (config.PRODUCT_ID && config.PRODUCT_PRICE_KOBO == null && !problems.some((p) => p.startsWith('PRODUCT_PRICE_KOBO'))) {
+    problems.push('PRODUCT_PRICE_KOBO is required when PRODUCT_ID is set');
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+
+  return Object.freeze({ ...config, integrations: Object.freeze(integrations) });
+}
+
+module.exports = { loadConfig, ConfigError };
@@ -0,0 +1,36 @@
+/**
+ * contact.js - Buyer email and phone normalization
+ * Orders, coupons and CAPI hashes all compare the normalized values.
+ */
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Normalize a phone number to E.164, defaulting to Nigeria
+ * 0803 123 4567 / 803 123 4567 / 2348031234567 / +234 803 123 4567 → +2348031234567
+ * Returns null when it can't be a real number
+ */
+function normalizePhone(input, defaultCountryCode = '234') {
+  if (typeof input !== 'string') return null;
+  let value = input.trim().replace(/[\s().-]/g, '');
+  if (value.startsWith('00')) value = `+${value.slice(2)}`;
+
+  let e164;
+  if (value.startsWith('+')) {
+    e164 = value;
+  } else if (/^0\d{10}$/.test(value)) {
+    e164 = `+${defaultCountryCode}${value.slice(1)}`;
+  } else if (/^[789]\d{9}$/.test(value)) {
+    e164 = `+${defaultCountryCode}${value}`;
+  } else if (value.startsWith(defaultCountryCode)) {
+    e164 = `+${value}`;
+  } else {
+    return null;
+  }
+
+  // Nigerian numbers are always +234 followed by 10 digits
+  if (e164.startsWith('+234') && !/^\+234[789]\d{9}$/.test(e164)) return null;
+  return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : null;
+}
+
+module.exports = { normalizeEmail, normalizePhone };
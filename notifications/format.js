@@ -0,0 +1,111 @@
+/**
+ * notifications/format.js - Escaping and rendering for notification messages
+ *
+ * Templates build a plain message object; each channel renders it in its own markup,
+ * escaping every value so buyer-supplied text (emails, UTMs, fbc...) can't break or
+ * restyle the message:
+ *   { title, sections: [{ title?, lines: [{ icon?, label?, value, code?, link? }] }] }
+ */
+
+// Telegram parse_mode HTML: only &, < and > are special (plus " inside attributes)
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Telegram MarkdownV2: every one of these must be backslash-escaped outside entities
+function escapeMarkdownV2(value) {
+  return String(value).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+// Inside MarkdownV2 `code` only ` and \ are special
+function escapeMarkdownV2Code(value) {
+  return String(value).replace(/[`\\]/g, '\\$&');
+}
+
+// Slack mrkdwn: only &, < and > can be escaped. Formatting characters can't, which is
+// why templates put buyer-supplied values in code spans
+function escapeSlack(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Discord markdown: backslash-escape formatting, and break @everyone / @here pings
+function escapeDiscord(value) {
+  return String(value)
+    .replace(/[\\*_~`|>#[\]()-]/g, '\\$&')
+    .replace(/@(everyone|here)/g, '@\u200b$1');
+}
+
+const stripBackticks = (value) => String(value).replace(/`/g, "'");
+
+const RENDERERS = {
+  html: {
+    bold: (text) => `<b>${escapeHtml(text)}</b>`,
+    code: (text) => `<code>${escapeHtml(text)}</code>`,
+    text: escapeHtml,
+    link: escapeHtml
+  },
+  markdownv2: {
+    bold: (text) => `*${escapeMarkdownV2(text)}*`,
+    code: (text) => `\`${escapeMarkdownV2Code(text)}\``,
+    text: escapeMarkdownV2,
+    link: escapeMarkdownV2
+  },
+  slack: {
+    bold: (text) => `*${escapeSlack(text)}*`,
+    code: (text) => `\`${stripBackticks(escapeSlack(text))}\``,
+    text: escapeSlack,
+    link: (url) => `<${escapeSlack(url).replace(/\|/g, '%7C')}>`
+  },
+  discord: {
+    bold: (text) => `**${escapeDiscord(text)}**`,
+    code: (text) => `\`${stripBackticks(text)}\``,
+    text: escapeDiscord,
+    link: (url) => `<${String(url).replace(/[<>\s]/g, encodeURIComponent)}>` // <> also stops the embed
+  },
+  plain: {
+    bold: String,
+    code: String,
+    text: String,
+    link: String
+  }
+};
+
+/**
+ * Render a message object as text in one of: html, markdownv2, slack, discord, plain
+ */
+function renderMessage(message, format = 'plain') {
+  const r = RENDERERS[format];
+  if (!r) throw new Error(`Unknown message format: ${format}`);
+
+  const blocks = [r.bold(message.title)];
+  for (const section of message.sections || []) {
+    const lines = (section.lines || [])
+      .filter((line) => line && line.value != null && line.value !== '')
+      .map((line) => {
+        let value = r.text(line.value);
+        if (line.link) value = r.link(line.value);
+        else if (line.code) value = r.code(line.value);
+        const label = line.label ? `${r.text(line.label)}: ` : '';
+        return `${line.icon ? `${line.icon} ` : ''}${label}${value}`;
+      });
+    if (!lines.length) continue;
+    blocks.push([section.title ? r.bold(section.title) : null, ...lines].filter(Boolean).join('\n'));
+  }
+  return blocks.join('\n\n');
+}
+
+module.exports = {
+  escapeHtml,
+  escapeMarkdownV2,
+  escapeMarkdownV2Code,
+  escapeSlack,
+  escapeDiscord,
+  renderMessage
+};
@@ -0,0 +1,110 @@
+/**
+ * notifications/index.js - Notification channels
+ *
+ * A destination is one configured target (see the notifications settings in server.js):
+ *   { id, type, events: ['order.paid', ...] | ['*'], enabled, ...type fields }
+ *
+ * Every channel implements:
+ *   validate(destination)                → error string, or null when usable
+ *   send(destination, { event, message, data, replyMarkup })
+ *                                        → { id } (provider message id when there is one)
+ *
+ * Types and their fields:
+ *   telegram  chatId, format? (html | markdownv2)   - uses the bot from TELEGRAM_BOT_TOKEN
+ *   slack     url                                   - Slack incoming webhook (or Discord's /slack endpoint)
+ *   discord   url                                   - Discord channel webhook
+ *   webhook   url, secret?                          - JSON POST; X-Signature: sha256=HMAC(secret, body)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { renderMessage } = require('./format');
+const { templates, NOTIFY_EVENTS } = require('./templates');
+
+const isHttpsUrl = (url) => {
+  try {
+    return new URL(url).protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+};
+
+// Failed HTTP calls carry the useful part of the response as the error message
+function channelError(err) {
+  const body = err.response?.data;
+  const detail = body?.description || body?.message || (typeof body === 'string' ? body.slice(0, 200) : null);
+  const wrapped = new Error(detail ? `${err.response.status}: ${detail}` : err.message);
+  // 4xx other than rate limiting won't fix itself on retry
+  wrapped.permanent = Boolean(err.response && err.response.status >= 400 && err.response.status < 500 && err.response.status !== 429);
+  return wrapped;
+}
+
+function createChannels({ telegramApi, telegramEnabled }) {
+  const postJson = async (url, body, headers = {}) => {
+    try {
+      const { data } = await axios.post(url, body, { timeout: 10000, headers });
+      return data;
+    } catch (err) {
+      throw channelError(err);
+    }
+  };
+
+  return {
+    telegram: {
+      validate(destination) {
+        if (!telegramEnabled) return 'Telegram is not configured (TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID)';
+        if (!/^-?\d+$|^@\w{5,}$/.test(String(destination.chatId || ''))) return 'chatId must be a numeric chat id or @channelname';
+        if (destination.format && !['html', 'markdownv2'].includes(destination.format)) return 'format must be html or markdownv2';
+        return null;
+      },
+      async send(destination, { message, replyMarkup }) {
+        const format = destination.format || 'html';
+        try {
+          const data = await telegramApi('sendMessage', {
+            chat_id: destination.chatId,
+            text: renderMessage(message, format),
+            parse_mode: format === 'html' ? 'HTML' : 'MarkdownV2',
+            reply_markup: replyMarkup,
+            disable_web_page_preview: true
+          });
+          return { id: data?.result?.message_id != null ? String(data.result.message_id) : undefined };
+        } catch (err) {
+          throw channelError(err);
+        }
+      }
+    },
+
+    slack: {
+      validate: (destination) => (isHttpsUrl(destination.url) ? null : 'url must be an https URL'),
+      async send(destination, { message }) {
+        await postJson(destination.url, { text: renderMessage(message, 'slack') });
+        return {};
+      }
+    },
+
+    discord: {
+      validate: (destination) => (isHttpsUrl(destination.url) ? null : 'url must be an https URL'),
+      async send(destination, { message }) {
+        // Discord caps content at 2000 characters
+        const content = renderMessage(message, 'discord').slice(0, 2000);
+        await postJson(destination.url, { content, allowed_mentions: { parse: [] } });
+        return {};
+      }
+    },
+
+    webhook: {
+      validate: (destination) => (isHttpsUrl(destination.url) ? null : 'url must be an https URL'),
+      async send(destination, { event, message, data }) {
+        const body = JSON.stringify({ event, text: renderMessage(message, 'plain'), message, data, sentAt: new Date() });
+        const headers = { 'Content-Type': 'application/json' };
+        if (destination.secret) {
+          headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', destination.secret).update(body).digest('hex')}`;
+        }
+        await postJson(destination.url, body, headers);
+        return {};
+      }
+    }
+  };
+}
+
+module.exports = { createChannels, templates, NOTIFY_EVENTS };
@@ -0,0 +1,161 @@
+/**
+ * notifications/templates.js - Message templates, one per event type
+ *
+ * Each template takes { order, product, downloadUrl, params } and returns a message
+ * object (see format.js). Values are raw; the channel renderer escapes them.
+ */
+
+const TZ = 'Africa/Lagos';
+
+const money = (currency, kobo) => `${currency} ${((kobo || 0) / 100).toLocaleString()}`;
+const lagosTime = (date) => new Date(date || Date.now()).toLocaleString('en-NG', { timeZone: TZ });
+
+// "meta_ads / spring_sale"
+function touchLabel(touch) {
+  if (!touch?.channel) return 'N/A';
+  return [touch.channel, touch.utm_campaign].filter(Boolean).join(' / ');
+}
+
+const REFUND_TITLES = {
+  requested: '⏳ REFUND REQUESTED',
+  processed: '💸 REFUND PROCESSED',
+  failed: '❌ REFUND FAILED'
+};
+
+const templates = {
+  'order.paid': ({ order, product, downloadUrl }) => ({
+    title: `🎉 NEW SALE - ${money(order.currency, order.amount)}`,
+    sections: [
+      {
+        title: 'CUSTOMER DETAILS',
+        lines: [
+          { icon: '📧', label: 'Email', value: order.email, code: true },
+          { icon: '📱', label: 'Phone', value: order.phone, code: true }
+        ]
+      },
+      {
+        title: 'ORDER INFO',
+        lines: [
+          { icon: '📦', label: 'Product', value: order.productName || product?.name || 'N/A' },
+          { icon: '🔖', label: 'Reference', value: order.reference, code: true },
+          { icon: '⬆️', label: 'Upsell of', value: order.parentReference, code: true },
+          { icon: '💵', label: 'Amount', value: money(order.currency, order.amount) },
+          {
+            icon: '🏷️',
+            label: 'Coupon',
+            value: order.coupon?.code ? `${order.coupon.code} (-${money(order.currency, order.discount)})` : null,
+            code: true
+          },
+          { icon: '⚠️', label: 'Coupon over limit', value: order.coupon?.overLimit },
+          { icon: '🤝', label: 'Affiliate', value: order.affiliateCode, code: true },
+          { icon: '🕐', label: 'Time', value: lagosTime(order.verifiedAt || order.createdAt) }
+        ]
+      },
+      {
+        title: 'TRACKING DATA',
+        lines: [
+          { icon: '🌐', label: 'IP', value: order.ip || 'N/A', code: true },
+          { icon: '🔗', label: 'FBC', value: order.fbc || 'N/A', code: true },
+          { icon: '🍪', label: 'FBP', value: order.fbp || 'N/A', code: true },
+          { icon: '🌍', label: 'Country', value: order.country || 'NG' }
+        ]
+      },
+      {
+        title: 'ATTRIBUTION',
+        lines: [
+          { icon: '🥇', label: 'First touch', value: touchLabel(order.attribution?.firstTouch), code: true },
+          { icon: '🎯', label: 'Last touch', value: touchLabel(order.attribution?.lastTouch), code: true }
+        ]
+      },
+      {
+        title: 'META CAPI EVENT',
+        lines: [
+          { label: 'Event', value: 'Purchase' },
+          { label: 'Event ID', value: order.reference, code: true },
+          { label: 'Status', value: order.capi?.sent ? '✅ Sent Successfully' : `⚠️ ${order.capi?.error || 'Pending/Retrying'}` },
+          { label: 'Tries', value: String(order.capi?.tries || 0) }
+        ]
+      },
+      {
+        title: 'GUIDE DELIVERY',
+        lines: [
+          { icon: '📗', label: 'Download', value: downloadUrl || 'N/A', link: Boolean(downloadUrl) },
+          { icon: '💬', label: 'WhatsApp', value: product?.communityUrl || 'N/A', link: Boolean(product?.communityUrl) }
+        ]
+      }
+    ]
+  }),
+
+  // Also the fallback when automatic WhatsApp delivery fails (params.whatsappError)
+  'order.phone': ({ order, product, downloadUrl, params }) => ({
+    title: '📱 WHATSAPP NUMBER COLLECTED',
+    sections: [
+      {
+        lines: [{ icon: '⚠️', label: 'WhatsApp auto-send failed', value: params?.whatsappError }]
+      },
+      {
+        title: 'ORDER REFERENCE',
+        lines: [
+          { icon: '🔖', label: 'Reference', value: order.reference, code: true },
+          { icon: '📦', label: 'Product', value: order.productName || product?.name || 'N/A' }
+        ]
+      },
+      {
+        title: 'CUSTOMER INFO',
+        lines: [
+          { icon: '📧', label: 'Email', value: order.email, code: true },
+          { icon: '📱', label: 'WhatsApp', value: order.phone, code: true },
+          { icon: '↩️', label: 'Replaces', value: order.phoneHistory?.[order.phoneHistory.length - 1]?.previous, code: true }
+        ]
+      },
+      {
+        title: 'TIME',
+        lines: [{ icon: '🕐', label: 'Submitted', value: lagosTime() }]
+      },
+      {
+        title: 'ACTION REQUIRED',
+        lines: [
+          { icon: '✅', label: 'Send the guide to', value: order.phone, code: true },
+          { icon: '💬', label: 'WhatsApp Link', value: product?.communityUrl || 'N/A', link: Boolean(product?.communityUrl) },
+          { icon: '📗', label: 'Download', value: downloadUrl || 'N/A', link: Boolean(downloadUrl) }
+        ]
+      }
+    ]
+  }),
+
+  'order.refund': ({ order, product, params }) => ({
+    title: REFUND_TITLES[params?.stage] || '💸 REFUND UPDATE',
+    sections: [
+      {
+        title: 'ORDER INFO',
+        lines: [
+          { icon: '🔖', label: 'Reference', value: order.reference, code: true },
+          { icon: '📦', label: 'Product', value: order.productName || product?.name || 'N/A' },
+          { icon: '📧', label: 'Email', value: order.email, code: true },
+          { icon: '💵', label: 'Paid', value: money(order.currency, order.amount) },
+          { icon: '💸', label: 'Refund', value: money(order.currency, order.refund?.amount || order.refund?.requestedAmount) },
+          { icon: '📌', label: 'Status', value: order.status },
+          { icon: '⚠️', label: 'Error', value: order.refund?.error },
+          { icon: '🔒', value: order.accessRevokedAt ? 'Delivery access revoked' : null },
+          { icon: '🕐', label: 'Time', value: lagosTime() }
+        ]
+      }
+    ]
+  }),
+
+  // Sent by POST /api/admin/notifications/test to check a destination
+  test: ({ params }) => ({
+    title: '🔔 TEST NOTIFICATION',
+    sections: [
+      {
+        lines: [
+          { label: 'Destination', value: params?.destinationId, code: true },
+          { label: 'Requested by', value: params?.actor },
+          { icon: '🕐', label: 'Time', value: lagosTime() }
+        ]
+      }
+    ]
+  })
+};
+
+module.exports = { templates, NOTIFY_EVENTS: ['order.paid', 'order.phone', 'order.refund'] };
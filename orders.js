@@ -0,0 +1,75 @@
+/**
+ * orders.js - Order state machine
+ * Every status change goes through transitionOrder so illegal moves are
+ * rejected and the audit trail stays complete
+ */
+
+const ORDER_TRANSITIONS = {
+  initialized: ['success', 'failed'],
+  failed: ['success'], // late webhook / reconciliation after a failed verify
+  success: ['refund_pending', 'refunded', 'partially_refunded', 'disputed'],
+  refund_pending: ['refunded', 'partially_refunded'], // back to success only via revertFailedRefund
+  partially_refunded: ['refund_pending', 'refunded', 'disputed'],
+  disputed: ['refund_pending', 'refunded', 'partially_refunded'],
+  refunded: []
+};
+
+// Statuses whose buyers keep access to the delivery links
+const DELIVERABLE_STATUSES = ['success', 'partially_refunded'];
+
+// Everything that was paid at some point, even if later refunded or disputed
+const PAID_STATUSES = ['success', 'refund_pending', 'partially_refunded', 'refunded', 'disputed'];
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+function illegalTransition(order, to) {
+  const err = new Error(`Illegal order transition ${order.status} → ${to} for ${order.reference}`);
+  err.code = 'ILLEGAL_TRANSITION';
+  return err;
+}
+
+function transitionOrder(order, to, { actor = 'system', note } = {}) {
+  if (!canTransition(order.status, to)) throw illegalTransition(order, to);
+  return setOrderStatus(order, to, { actor, note });
+}
+
+// Records the move and applies its side effects without checking it is legal.
+// Only transitionOrder and forced admin overrides call this directly
+function setOrderStatus(order, to, { actor = 'system', note } = {}) {
+  order.history.push({ from: order.status, to, actor, note, at: new Date() });
+  order.status = to;
+
+  if (to === 'refunded') {
+    // Full refund - the buyer loses their delivery links
+    order.accessRevokedAt = new Date();
+    order.successToken = null;
+    order.tokenExpiresAt = null;
+    if (order.download?.grantId) order.download.revokedAt = new Date();
+  }
+
+  return order;
+}
+
+// The refund.failed webhook puts the order back where it was before the refund request.
+// Kept out of ORDER_TRANSITIONS so nothing else can move refund_pending back to success
+function revertFailedRefund(order, { actor = 'system', note } = {}) {
+  if (order.status !== 'refund_pending') throw illegalTransition(order, 'success');
+
+  const from = order.status;
+  const to = order.refund?.amount ? 'partially_refunded' : 'success';
+  order.status = to;
+  order.history.push({ from, to, actor, note, at: new Date() });
+  return order;
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  DELIVERABLE_STATUSES,
+  PAID_STATUSES,
+  canTransition,
+  transitionOrder,
+  setOrderStatus,
+  revertFailedRefund
+};
@@ -0,0 +1,129 @@
+/**
+ * pricing.js - Scheduled price tiers
+ * Which tier a product sells at right now, and validation for the admin's tier list.
+ * Order counts come in through countOrders so this stays free of Mongo.
+ */
+
+const { normalizeEmail } = require('./contact');
+const { PAID_STATUSES } = require('./orders');
+
+// Paystack rejects NGN charges below ₦50, so discounts stop there
+const MIN_CHARGE_KOBO = 5000;
+
+// Unpaid checkouts at a limited tier hold their place this long
+const TIER_HOLD_MS = 30 * 60 * 1000;
+
+// Orders that take a place at a limited tier: paid ones, plus other buyers' open checkouts
+function tierTakenFilter(product, tier, { now = new Date(), email } = {}) {
+  const held = { status: 'initialized', createdAt: { $gte: new Date(now.getTime() - TIER_HOLD_MS) } };
+  // Orders store the normalized email, so compare against the same form
+  if (email) held.email = { $ne: normalizeEmail(email) };
+  return {
+    productId: product.productId,
+    'pricingTier.tierId': tier.tierId,
+    $or: [{ status: { $in: PAID_STATUSES } }, held]
+  };
+}
+
+/**
+ * Price a product right now
+ * The first entry in priceTiers whose window covers `now` and that isn't sold out is charged;
+ * with none, the regular amountKobo is. Returns { amountKobo, regularAmountKobo, tier }.
+ * Checkouts opened at a limited tier in the last TIER_HOLD_MS count against maxOrders, except
+ * the buyer's own (`email`), so retrying a checkout doesn't lock them out of their place.
+ * countOrders(filter) resolves to the number of orders matching a Mongo filter.
+ */
+async function currentPricing(product, { now = new Date(), email, countOrders }) {
+  for (const tier of product.priceTiers || []) {
+    if (tier.startsAt && now < tier.startsAt) continue;
+    if (tier.endsAt && now >= tier.endsAt) continue;
+
+    let remaining = null;
+    if (tier.maxOrders != null) {
+      const taken = await countOrders(tierTakenFilter(product, tier, { now, email }));
+      remaining = Math.max(tier.maxOrders - taken, 0);
+      if (!remaining) continue;
+    }
+
+    return {
+      amountKobo: tier.amountKobo,
+      regularAmountKobo: product.amountKobo,
+      tier: { id: tier.tierId, label: tier.label || null, endsAt: tier.endsAt || null, remaining }
+    };
+  }
+  return { amountKobo: product.amountKobo, regularAmountKobo: product.amountKobo, tier: null };
+}
+
+/**
+ * Check a priceTiers list from the admin API
+ * Returns { tiers } ready to save, or { error } naming the first bad entry
+ */
+function parsePriceTiers(input) {
+  if (!Array.isArray(input)) return { error: 'priceTiers must be an array' };
+  if (input.length > 20) return { error: 'At most 20 price tiers' };
+
+  const tiers = [];
+  const seen = new Set();
+  for (const [i, raw] of input.entries()) {
+    const at = `priceTiers[${i}]`;
+    const tierId = String(raw?.tierId || '').trim();
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(tierId) || tierId === 'regular') {
+      return { error: `${at}.tierId must be 1-32 letters, digits, - or _ (and not "regular")` };
+    }
+    if (seen.has(tierId)) return { error: `${at}.tierId "${tierId}" is used twice` };
+    seen.add(tierId);
+
+    if (!Number.isInteger(raw.amountKobo) || raw.amountKobo < MIN_CHARGE_KOBO) {
+      return { error: `${at}.amountKobo must be a whole number of at least ${MIN_CHARGE_KOBO}` };
+    }
+    if (raw.maxOrders != null && !(Number.isInteger(raw.maxOrders) && raw.maxOrders > 0)) {
+      return { error: `${at}.maxOrders must be a positive whole number` };
+    }
+    const startsAt = raw.startsAt ? new Date(raw.startsAt) : null;
+    const endsAt = raw.endsAt ? new Date(raw.endsAt) : null;
+    if ((startsAt && isNaN(startsAt)) || (endsAt && isNaN(endsAt))) {
+      return { error: `${at}.startsAt/endsAt must be valid dates` };
+    }
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      return { error: `${at}.endsAt must be after startsAt` };
+    }
+
+    tiers.push({
+      tierId,
+      label: raw.label ? String(raw.label).slice(0, 60) : undefined,
+      amountKobo: raw.amountKobo,
+      startsAt: startsAt || undefined,
+      endsAt: endsAt || undefined,
+      maxOrders: raw.maxOrders ?? undefined
+    });
+  }
+  return { tiers };
+}
+
+// What goes on order.pricingTier
+function orderPricingTier(price) {
+  return {
+    tierId: price.tier?.id || 'regular',
+    label: price.tier?.label || undefined,
+    amountKobo: price.amountKobo,
+    regularAmountKobo: price.regularAmountKobo
+  };
+}
+
+// Kobo a coupon takes off amountKobo; never brings the charge below MIN_CHARGE_KOBO
+function couponDiscount(coupon, amountKobo) {
+  const raw = coupon.type === 'percent'
+    ? Math.round(amountKobo * Math.min(coupon.value, 100) / 100)
+    : Math.round(coupon.value);
+  return Math.max(0, Math.min(raw, amountKobo - MIN_CHARGE_KOBO));
+}
+
+module.exports = {
+  MIN_CHARGE_KOBO,
+  TIER_HOLD_MS,
+  tierTakenFilter,
+  currentPricing,
+  parsePriceTiers,
+  orderPricingTier,
+  couponDiscount
+};
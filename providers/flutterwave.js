@@ -0,0 +1,143 @@
+/**
+ * providers/flutterwave.js - Flutterwave (v3) adapter
+ * Flutterwave works in major units (naira), so amounts are converted to/from kobo here
+ */
+
+const axios = require('axios');
+const { safeEqual } = require('./util');
+
+const toMajor = (kobo) => Number(kobo) / 100;
+const toKobo = (major) => Math.round(Number(major) * 100);
+
+// Flutterwave transaction status → shared provider status
+const STATUS_MAP = {
+  successful: 'success',
+  failed: 'failed',
+  cancelled: 'abandoned',
+  pending: 'pending'
+};
+
+function createFlutterwaveProvider({ publicKey, secretKey, secretHash, redirectUrl }) {
+  const api = axios.create({
+    baseURL: 'https://api.flutterwave.com/v3',
+    headers: { Authorization: `Bearer ${secretKey}` },
+    timeout: 30000
+  });
+
+  return {
+    name: 'flutterwave',
+
+    clientConfig() {
+      return {
+        provider: 'flutterwave',
+        publicKey,
+        scriptUrl: 'https://checkout.flutterwave.com/v3.js'
+      };
+    },
+
+    // Creates a hosted payment link; the inline widget reuses the same tx_ref
+    async initialize({ reference, email, amount, currency, metadata }) {
+      const { data } = await api.post('/payments', {
+        tx_ref: reference,
+        amount: toMajor(amount),
+        currency,
+        redirect_url: redirectUrl,
+        customer: { email },
+        meta: metadata ? { productId: metadata.productId, couponCode: metadata.couponCode } : undefined
+      });
+      if (!data || data.status !== 'success') {
+        const err = new Error(data?.message || 'Flutterwave initialization failed');
+        err.details = data;
+        throw err;
+      }
+      return { authorizationUrl: data.data?.link, raw: data.data };
+    },
+
+    async verify(reference) {
+      try {
+        const { data } = await api.get('/transactions/verify_by_reference', { params: { tx_ref: reference } });
+        const tx = data?.data || {};
+        return {
+          status: STATUS_MAP[tx.status] || tx.status || 'pending',
+          amount: tx.amount != null ? toKobo(tx.amount) : undefined,
+          currency: tx.currency,
+          transactionId: tx.id != null ? String(tx.id) : undefined,
+          paidAt: tx.created_at ? new Date(tx.created_at) : undefined,
+          raw: tx
+        };
+      } catch (e) {
+        // Flutterwave answers an unknown tx_ref with a 400 ("No transaction was found for this id");
+        // any other 400 is a real error
+        const { status, data } = e.response || {};
+        if (status === 404 || (status === 400 && /no transaction was found|transaction not found/i.test(data?.message || ''))) {
+          return { status: 'not_found', raw: data };
+        }
+        throw e;
+      }
+    },
+
+    // Flutterwave echoes the dashboard "secret hash" in the verif-hash header
+    verifyWebhook(req) {
+      return Boolean(secretHash) && safeEqual(req.headers['verif-hash'], secretHash);
+    },
+
+    webhookEventId(body) {
+      const data = body?.data || {};
+      const event = body?.event || body?.['event.type'];
+      // Prefixed so ids can never collide with Paystack's in the shared event log
+      return event && data.id != null ? `flutterwave:${event}:${data.id}:${data.status || ''}` : null;
+    },
+
+    normalizeWebhook(body) {
+      const event = body?.event || body?.['event.type'];
+      const data = body?.data || {};
+
+      if (event === 'charge.completed') {
+        return {
+          event: data.status === 'successful' ? 'charge.success' : 'charge.failed',
+          data: {
+            reference: data.tx_ref,
+            amount: toKobo(data.amount),
+            currency: data.currency,
+            transactionId: data.id != null ? String(data.id) : undefined,
+            note: data.processor_response
+          }
+        };
+      }
+
+      if (event === 'refund.completed') {
+        return {
+          event: data.status === 'completed' ? 'refund.processed' : 'refund.failed',
+          data: {
+            reference: data.tx_ref,
+            amount: toKobo(data.amount_refunded ?? data.amount),
+            currency: data.currency,
+            refundId: data.id != null ? String(data.id) : undefined,
+            note: data.comments || data.status
+          }
+        };
+      }
+
+      return { event, data: { reference: data.tx_ref } };
+    },
+
+    async refund({ transactionId, amount }) {
+      if (!transactionId) throw new Error('Flutterwave refunds need the transaction id');
+      const { data } = await api.post(`/transactions/${encodeURIComponent(transactionId)}/refund`, {
+        amount: amount != null ? toMajor(amount) : undefined
+      });
+      if (!data || data.status !== 'success') {
+        const err = new Error(data?.message || 'Flutterwave refund failed');
+        err.details = data;
+        throw err;
+      }
+      return {
+        id: data.data?.id != null ? String(data.data.id) : undefined,
+        status: data.data?.status,
+        raw: data.data
+      };
+    }
+  };
+}
+
+module.exports = createFlutterwaveProvider;
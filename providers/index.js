@@ -0,0 +1,48 @@
+/**
+ * providers/index.js - Payment provider registry
+ *
+ * Every provider implements the same interface, in kobo (minor units) throughout:
+ *   name
+ *   clientConfig()                       → { provider, publicKey, scriptUrl } for public/js/app.js
+ *   initialize({ reference, email, amount, currency, metadata })
+ *                                        → { accessCode?, authorizationUrl?, raw }
+ *   verify(reference)                    → { status, amount, currency, transactionId, paidAt, raw }
+ *                                          status: success | failed | reversed | abandoned | pending | not_found
+ *   verifyWebhook(req)                   → boolean (uses req.rawBody + headers)
+ *   webhookEventId(body)                 → stable id for dedup, or null
+ *   normalizeWebhook(body)               → { event, data } using the shared event names below
+ *   refund({ reference, transactionId, amount, reason })
+ *                                        → { id, status, raw }
+ *
+ * Normalized webhook events: charge.success, charge.failed, refund.processed,
+ * refund.failed, charge.dispute.create. Normalized data fields: reference, amount,
+ * currency, transactionId, refundId, note, dispute.
+ */
+
+const createPaystackProvider = require('./paystack');
+const createFlutterwaveProvider = require('./flutterwave');
+
+function createProviders(env) {
+  const providers = {};
+
+  if (env.PAYSTACK_SECRET_KEY) {
+    providers.paystack = createPaystackProvider({
+      publicKey: env.PAYSTACK_PUBLIC_KEY,
+      secretKey: env.PAYSTACK_SECRET_KEY,
+      webhookSecret: env.PAYSTACK_WEBHOOK_SECRET
+    });
+  }
+
+  if (env.FLW_SECRET_KEY) {
+    providers.flutterwave = createFlutterwaveProvider({
+      publicKey: env.FLW_PUBLIC_KEY,
+      secretKey: env.FLW_SECRET_KEY,
+      secretHash: env.FLW_SECRET_HASH,
+      redirectUrl: env.SITE_URL ? `${env.SITE_URL}/` : undefined
+    });
+  }
+
+  return providers;
+}
+
+module.exports = { createProviders };
@@ -0,0 +1,145 @@
+/**
+ * providers/paystack.js - Paystack adapter
+ * Amounts are already in kobo on Paystack's side, so no conversion is needed
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { safeEqual } = require('./util');
+
+function createPaystackProvider({ publicKey, secretKey, webhookSecret }) {
+  const api = axios.create({
+    baseURL: 'https://api.paystack.co',
+    headers: { Authorization: `Bearer ${secretKey}` },
+    timeout: 30000
+  });
+
+  return {
+    name: 'paystack',
+
+    clientConfig() {
+      return {
+        provider: 'paystack',
+        publicKey,
+        scriptUrl: 'https://js.paystack.co/v2/inline.js'
+      };
+    },
+
+    async initialize({ reference, email, amount, currency, metadata }) {
+      const { data } = await api.post('/transaction/initialize', { email, amount, currency, reference, metadata });
+      if (!data || data.status !== true) {
+        const err = new Error(data?.message || 'Paystack initialization failed');
+        err.details = data;
+        throw err;
+      }
+      return {
+        accessCode: data.data.access_code,
+        authorizationUrl: data.data.authorization_url,
+        raw: data.data
+      };
+    },
+
+    async verify(reference) {
+      try {
+        const { data } = await api.get(`/transaction/verify/${encodeURIComponent(reference)}`);
+        const tx = data?.data || {};
+        return {
+          status: tx.status,
+          amount: tx.amount,
+          currency: tx.currency,
+          transactionId: tx.id != null ? String(tx.id) : undefined,
+          paidAt: tx.paid_at ? new Date(tx.paid_at) : undefined,
+          raw: tx
+        };
+      } catch (e) {
+        if (e.response?.status === 404) return { status: 'not_found', raw: e.response.data };
+        throw e;
+      }
+    },
+
+    verifyWebhook(req) {
+      const signature = req.headers['x-paystack-signature'];
+      const computed = crypto
+        .createHmac('sha512', webhookSecret || secretKey)
+        .update(req.rawBody || '')
+        .digest('hex');
+      return safeEqual(signature, computed);
+    },
+
+    // Paystack has no envelope id, so event name + object id identifies a delivery
+    webhookEventId(body) {
+      const data = body?.data || {};
+      const objectId = data.id || data.reference || data.transaction_reference;
+      return body?.event && objectId ? `${body.event}:${objectId}` : null;
+    },
+
+    normalizeWebhook(body) {
+      const event = body?.event;
+      const data = body?.data || {};
+
+      if (event === 'charge.success' || event === 'charge.failed') {
+        return {
+          event,
+          data: {
+            reference: data.reference,
+            amount: data.amount,
+            currency: data.currency,
+            transactionId: data.id != null ? String(data.id) : undefined,
+            note: data.gateway_response
+          }
+        };
+      }
+
+      if (event === 'refund.processed' || event === 'refund.failed') {
+        return {
+          event,
+          data: {
+            reference: data.transaction_reference,
+            amount: data.amount,
+            currency: data.currency,
+            refundId: data.id != null ? String(data.id) : undefined,
+            note: data.merchant_note || data.status
+          }
+        };
+      }
+
+      if (event === 'charge.dispute.create') {
+        return {
+          event,
+          data: {
+            reference: data.transaction?.reference,
+            dispute: {
+              id: data.id != null ? String(data.id) : undefined,
+              status: data.status,
+              reason: data.category || data.message,
+              refundAmount: data.refund_amount,
+              openedAt: data.createdAt ? new Date(data.createdAt) : new Date()
+            }
+          }
+        };
+      }
+
+      return { event, data: { reference: data.reference } };
+    },
+
+    async refund({ reference, amount, reason }) {
+      const { data } = await api.post('/refund', {
+        transaction: reference,
+        amount,
+        merchant_note: reason || undefined
+      });
+      if (!data || data.status !== true) {
+        const err = new Error(data?.message || 'Paystack refund failed');
+        err.details = data;
+        throw err;
+      }
+      return {
+        id: data.data?.id != null ? String(data.data.id) : undefined,
+        status: data.data?.status,
+        raw: data.data
+      };
+    }
+  };
+}
+
+module.exports = createPaystackProvider;
@@ -0,0 +1,15 @@
+/**
+ * providers/util.js - Helpers shared by the provider adapters
+ */
+
+const crypto = require('crypto');
+
+// Constant-time string comparison (signatures, secret hashes)
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = { safeEqual };
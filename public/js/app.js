@@ -11,6 +11,9 @@
   const $ = (s) => document.querySelector(s);
   const $$ = (s) => document.querySelectorAll(s);
 
+  // Product chosen via the CTA's data-product attribute (server default when unset)
+  let selectedProductId = null;
+
   function getCookie(name) {
     const nameEQ = name + '=';
     const parts = document.cookie.split(';').map(c => c.trim());
@@ -23,9 +26,42 @@
     document.cookie = `${name}=${encodeURIComponent(value)}; expires=${exp}; path=/; samesite=lax`;
   }
 
+  // Marketing touch from this page view: UTMs, click ids and external referrer
+  function currentTouch() {
+    const qp = new URLSearchParams(location.search);
+    const touch = {};
+    ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'ttclid', 'fbclid'].forEach((k) => {
+      const value = qp.get(k);
+      if (value) touch[k] = value.slice(0, 200);
+    });
+
+    // Internal navigation isn't a new touch
+    let referrer = null;
+    try {
+      if (document.referrer && new URL(document.referrer).hostname !== location.hostname) {
+        referrer = document.referrer.slice(0, 300);
+      }
+    } catch (e) {}
+    if (referrer) touch.referrer = referrer;
+
+    return touch;
+  }
+
+  // First touch (_ft) is kept for good; last touch (_lt) follows the latest campaign visit
+  function captureTouch() {
+    const touch = currentTouch();
+    const hasData = Object.keys(touch).length > 0;
+    const record = JSON.stringify({ ...touch, landingPath: location.pathname, at: new Date().toISOString() });
+
+    if (!getCookie('_ft')) setCookie('_ft', record, 90);
+    if (hasData || !getCookie('_lt')) setCookie('_lt', record, 90);
+  }
+
   async function bootstrapIdentity() {
     const qp = new URLSearchParams(location.search);
     const fbclid = qp.get('fbclid') || null;
+    // Creator referral links: /?ref=CODE or /?aff=CODE (the server keeps it in the _aff cookie)
+    const aff = qp.get('ref') || qp.get('aff') || null;
 
     let _fbc = getCookie('_fbc');
     let _fbp = getCookie('_fbp');
@@ -45,24 +81,56 @@
       await fetch('/api/identify', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ fbclid, fbc: _fbc, fbp: _fbp })
+        body: JSON.stringify({ fbclid, fbc: _fbc, fbp: _fbp, aff })
       });
     } catch (e) {
       console.error('Identity sync failed:', e);
     }
   }
 
+  // Browser pixel with the server's event_id so Meta dedups against CAPI
+  function pixelTrack(eventName, eventId, data = {}) {
+    if (typeof window.fbq !== 'function' || !eventId) return;
+    window.fbq('track', eventName, data, { eventID: eventId });
+  }
+
   async function captureVisitor() {
     try {
-      await fetch('/api/visitor', { method: 'POST' });
+      const res = await fetch('/api/visitor', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          landingUrl: location.href,
+          referrer: document.referrer || null,
+          pageId: Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+        })
+      });
+      const json = await res.json();
+      pixelTrack('PageView', json.eventIds?.PageView);
+      pixelTrack('ViewContent', json.eventIds?.ViewContent);
     } catch (e) {
       console.error('Visitor capture failed:', e);
     }
   }
 
+  // Funnel event - fire-and-forget, survives page unloads via keepalive
+  function track(name, data = {}) {
+    try {
+      fetch('/api/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, ...data }),
+        keepalive: true
+      }).catch(() => {});
+    } catch (e) {
+      // Tracking must never break checkout
+    }
+  }
+
   function openLeadModal() {
     const modal = $('#leadModal');
     modal.style.display = 'flex';
+    track('lead_modal_open', { meta: { productId: selectedProductId } });
 
     // 🚫 Do NOT auto-focus any field when modal opens.
     // If any script or browser behavior focuses an input, blur it immediately.
@@ -124,6 +192,166 @@
     }
   }
 
+  // Error text for { ok: false, error, code, retryAfter } API responses
+  function apiError(json, fallback) {
+    const message = json?.error || fallback;
+    if (json?.code !== 'RATE_LIMITED' || !json.retryAfter) return message;
+    const minutes = Math.ceil(json.retryAfter / 60);
+    return `${message} Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  }
+
+  function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    return bits;
+  }
+
+  // Solve the server's proof-of-work puzzle; null when the server has it disabled
+  async function solvePow() {
+    const res = await fetch('/api/pow');
+    const { difficulty, challenge } = await res.json();
+    if (!difficulty || !challenge) return null;
+
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+      if (leadingZeroBits(new Uint8Array(hash)) >= difficulty) return { challenge, nonce };
+    }
+  }
+
+  function formatNaira(kobo) {
+    return '₦' + (kobo / 100).toLocaleString();
+  }
+
+  function formatMoney(kobo, currency) {
+    return !currency || currency === 'NGN' ? formatNaira(kobo) : `${currency} ${(kobo / 100).toLocaleString()}`;
+  }
+
+  // Price, discount, scarcity and deadline all come from /api/config (the server charges the same tier)
+  let pricing = null;
+  let countdownTimer = null;
+
+  async function loadPricing() {
+    try {
+      const res = await fetch('/api/config');
+      const json = await res.json();
+      if (!json.product) return;
+      pricing = {
+        product: json.product,
+        products: json.products || [],
+        clockOffset: json.serverTime ? new Date(json.serverTime).getTime() - Date.now() : 0
+      };
+      renderPricing();
+    } catch (e) {
+      console.error('Pricing load failed:', e);
+    }
+  }
+
+  function renderPricing() {
+    const { amountKobo, regularAmountKobo, currency, tier } = pricing.product;
+    const show = (el, visible) => { if (el) el.style.display = visible ? '' : 'none'; };
+
+    $$('[data-price]').forEach((el) => { el.textContent = formatMoney(amountKobo, currency); });
+    if ($('#priceSymbol')) $('#priceSymbol').textContent = !currency || currency === 'NGN' ? '₦' : `${currency} `;
+    if ($('#priceAmount')) $('#priceAmount').textContent = (amountKobo / 100).toLocaleString();
+
+    const discounted = regularAmountKobo > amountKobo;
+    show($('#oldPrice'), discounted);
+    show($('#discountBadge'), discounted);
+    if (discounted) {
+      $('#oldPrice').textContent = formatMoney(regularAmountKobo, currency);
+      if ($('#discountBadge')) $('#discountBadge').textContent = `${Math.round((1 - amountKobo / regularAmountKobo) * 100)}% OFF`;
+    }
+
+    const remaining = $('#tierRemaining');
+    show(remaining, tier?.remaining != null);
+    if (remaining && tier?.remaining != null) remaining.textContent = `Only ${tier.remaining} left at this price`;
+
+    renderPayLabel();
+    startCountdown(tier?.endsAt);
+  }
+
+  // Pay button shows the chosen product's current price (a coupon preview replaces it)
+  function renderPayLabel() {
+    const payText = $('#proceedToPay .btn-text');
+    if (!pricing || !payText) return;
+    const product = pricing.products.find((p) => p.id === selectedProductId) || pricing.product;
+    payText.dataset.label = `Pay ${formatMoney(product.amountKobo, product.currency)}`;
+    if (($('#couponCode')?.value || '').trim()) previewCoupon();
+    else payText.textContent = payText.dataset.label;
+  }
+
+  // Counts down to the tier's real deadline, then reloads to pick up the next price
+  function startCountdown(endsAt) {
+    clearInterval(countdownTimer);
+    const box = $('#timerBox');
+    if (!box) return;
+    if (!endsAt) {
+      box.style.display = 'none';
+      return;
+    }
+
+    const deadline = new Date(endsAt).getTime();
+    const pad = (n) => String(n).padStart(2, '0');
+    const tick = () => {
+      const left = deadline - (Date.now() + pricing.clockOffset);
+      if (left <= 0) {
+        clearInterval(countdownTimer);
+        box.style.display = 'none';
+        loadPricing();
+        return;
+      }
+      const seconds = Math.floor(left / 1000);
+      $('#hours').textContent = pad(Math.floor(seconds / 3600));
+      $('#minutes').textContent = pad(Math.floor((seconds % 3600) / 60));
+      $('#seconds').textContent = pad(seconds % 60);
+    };
+
+    box.style.display = '';
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+  }
+
+  // Preview a coupon and show the discounted price on the pay button
+  async function previewCoupon() {
+    const code = ($('#couponCode')?.value || '').trim();
+    const payText = $('#proceedToPay .btn-text');
+    if (!payText.dataset.label) payText.dataset.label = payText.textContent;
+
+    if (!code) {
+      payText.textContent = payText.dataset.label;
+      return;
+    }
+
+    try {
+      const res = await fetch('/api/coupons/validate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, email: $('#email')?.value.trim(), productId: selectedProductId })
+      });
+      const json = await res.json();
+
+      if (!json.ok) {
+        payText.textContent = payText.dataset.label;
+        showError(apiError(json, 'Invalid coupon code'));
+        return;
+      }
+
+      setCookie('coupon', json.code, 7);
+      payText.textContent = `Pay ${formatMoney(json.finalAmount, json.currency)}`;
+      showInfo(`Coupon applied: ${formatMoney(json.discount, json.currency)} off`);
+    } catch (e) {
+      console.error('Coupon preview failed:', e);
+    }
+  }
+
   // 🔒 Validate ALL fields (first name, last name, email)
   function validateLeadFields({ firstName, lastName, email }) {
     if (!firstName) {
@@ -150,10 +378,86 @@
     return true;
   }
 
+  // Load a provider's checkout script once (Paystack ships in index.html)
+  const loadedScripts = {};
+  function loadScript(src) {
+    if (!src) return Promise.resolve();
+    if (!loadedScripts[src]) {
+      loadedScripts[src] = new Promise((resolve, reject) => {
+        if (document.querySelector(`script[src="${src}"]`)) return resolve();
+        const s = document.createElement('script');
+        s.src = src;
+        s.onload = resolve;
+        s.onerror = () => reject(new Error('Could not load checkout'));
+        document.head.appendChild(s);
+      });
+    }
+    return loadedScripts[src];
+  }
+
+  async function verifyPayment(reference) {
+    showInfo('Verifying payment...');
+
+    try {
+      const vr = await fetch(`/api/tx/verify?reference=${encodeURIComponent(reference)}`);
+      const vj = await vr.json();
+
+      if (vj.ok && vj.verified) {
+        window.location.href = vj.redirect;
+      } else {
+        showError('Payment verification failed. If money was deducted, it will be verified automatically.');
+      }
+    } catch (e) {
+      showError('Could not verify payment. Please check your email for confirmation.');
+      console.error('Verification error:', e);
+    }
+  }
+
+  // Open the checkout of whichever provider the server picked for this order
+  async function openCheckout(init, { email, firstName, lastName }) {
+    const { reference, publicKey, amount, currency } = init;
+    const onClose = () => track('paystack_close', { reference, meta: { provider: init.provider } });
+
+    await loadScript(init.scriptUrl);
+
+    if (init.provider === 'flutterwave') {
+      const modal = FlutterwaveCheckout({
+        public_key: publicKey,
+        tx_ref: reference,
+        amount: amount / 100,
+        currency,
+        customer: { email, name: `${firstName} ${lastName}`.trim() },
+        callback: function() {
+          modal.close();
+          verifyPayment(reference);
+        },
+        onclose: function(incomplete) {
+          if (incomplete) onClose();
+        }
+      });
+      return;
+    }
+
+    const paystack = PaystackPop.setup({
+      key: publicKey,
+      email,
+      amount,
+      currency,
+      ref: reference,
+      onClose,
+      callback: function() {
+        verifyPayment(reference);
+      }
+    });
+
+    paystack.openIframe();
+  }
+
   async function startPayment() {
     const email = $('#email').value.trim();
     const firstName = $('#firstName').value.trim();
     const lastName = $('#lastName').value.trim();
+    const couponCode = ($('#couponCode')?.value || '').trim() || null;
 
     // ✅ Enforce required fields
     if (!validateLeadFields({ firstName, lastName, email })) {
@@ -170,57 +474,36 @@
     proceedBtn.classList.add('loading');
 
     try {
+      const pow = await solvePow();
+      const website = $('#website')?.value || '';
+
       const initRes = await fetch('/api/tx/init', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, firstName, lastName })
+        body: JSON.stringify({ email, firstName, lastName, productId: selectedProductId, couponCode, website, pow })
       });
 
       const initJson = await initRes.json();
 
       if (!initJson.ok) {
-        showError(initJson.error || 'Could not initialize payment');
+        showError(apiError(initJson, 'Could not initialize payment'));
         proceedBtn.disabled = false;
         proceedBtn.classList.remove('loading');
         return;
       }
 
-      const { reference, publicKey } = initJson;
+      const { reference, eventIds } = initJson;
+      const pixelData = { value: initJson.amount / 100, currency: initJson.currency };
+      pixelTrack('Lead', eventIds?.Lead, pixelData);
+      pixelTrack('InitiateCheckout', eventIds?.InitiateCheckout, pixelData);
 
       // Close lead modal
       closeLeadModal();
 
-      // Open Paystack modal
-      const paystack = PaystackPop.setup({
-        key: publicKey,
-        email,
-        amount: 390000,
-        currency: 'NGN',
-        ref: reference,
-        onClose: function() {
-          // User closed Paystack modal - nothing to do
-        },
-        callback: async function(response) {
-          // Show loading indicator
-          showInfo('Verifying payment...');
-          
-          try {
-            const vr = await fetch(`/api/tx/verify?reference=${encodeURIComponent(reference)}`);
-            const vj = await vr.json();
-
-            if (vj.ok && vj.verified) {
-              window.location.href = vj.redirect;
-            } else {
-              showError('Payment verification failed. If money was deducted, it will be verified automatically.');
-            }
-          } catch (e) {
-            showError('Could not verify payment. Please check your email for confirmation.');
-            console.error('Verification error:', e);
-          }
-        }
-      });
-
-      paystack.openIframe();
+      await openCheckout(initJson, { email, firstName, lastName });
+      // Only once the payment modal is actually showing (payment_init also sends the CAPI AddPaymentInfo)
+      track('payment_init', { reference });
+      pixelTrack('AddPaymentInfo', eventIds?.AddPaymentInfo, pixelData);
     } catch (e) {
       showError('An error occurred. Please try again.');
       proceedBtn.disabled = false;
@@ -229,15 +512,56 @@
     }
   }
 
+  // Reminder email link (/?resume=<token>): the server starts a fresh checkout for the saved cart
+  async function resumeCheckout(token) {
+    // Keep the token out of the address bar and any shared URL
+    const qp = new URLSearchParams(location.search);
+    qp.delete('resume');
+    history.replaceState(null, '', location.pathname + (qp.toString() ? `?${qp}` : ''));
+
+    showInfo('Restoring your checkout...');
+    try {
+      const res = await fetch('/api/checkout/resume', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      const json = await res.json();
+
+      if (!json.ok) {
+        showError(apiError(json, 'Could not restore your checkout'));
+        return;
+      }
+
+      if ($('#notification')) $('#notification').style.display = 'none';
+      setCookie('lead_email', json.email, 365);
+      await openCheckout(json, {
+        email: json.email,
+        firstName: getCookie('lead_fn') || '',
+        lastName: getCookie('lead_ln') || ''
+      });
+      track('payment_init', { reference: json.reference, meta: { resumed: true } });
+    } catch (e) {
+      showError('Could not restore your checkout. Please try again.');
+      console.error('Resume error:', e);
+    }
+  }
+
   function wireUi() {
     // CTA -> open modal
     $$('[data-cta]').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.preventDefault();
+        selectedProductId = btn.dataset.product || null;
+        renderPayLabel();
+        track('cta_click', { meta: { productId: selectedProductId } });
         openLeadModal();
       });
     });
 
+    // Coupon preview
+    $('#couponCode')?.addEventListener('change', previewCoupon);
+
     // Cancel/close modal
     $('#cancelLead')?.addEventListener('click', closeLeadModal);
 
@@ -265,18 +589,28 @@
   }
 
   (async function boot() {
+    captureTouch();
     await bootstrapIdentity();
     await captureVisitor();
     wireUi();
+    await loadPricing();
 
     // Prefill fields from cookie if available
     const ce = getCookie('lead_email');
     const cf = getCookie('lead_fn');
     const cl = getCookie('lead_ln');
+    const cc = new URLSearchParams(location.search).get('coupon') || getCookie('coupon');
     
     if (ce && $('#email')) $('#email').value = ce;
     if (cf && $('#firstName')) $('#firstName').value = cf;
     if (cl && $('#lastName')) $('#lastName').value = cl;
+    if (cc && $('#couponCode')) {
+      $('#couponCode').value = cc;
+      previewCoupon();
+    }
+
+    const resumeToken = new URLSearchParams(location.search).get('resume');
+    if (resumeToken) resumeCheckout(resumeToken);
 
     console.log('✓ App initialized');
   })();
@@ -12,58 +12,280 @@ const express = require('express');
 const axios = require('axios');
 const crypto = require('crypto');
 const path = require('path');
+const os = require('os');
 const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
+const nodemailer = require('nodemailer');
+const { createProviders } = require('./providers');
+const { safeEqual } = require('./providers/util');
+const {
+  ORDER_TRANSITIONS,
+  DELIVERABLE_STATUSES,
+  PAID_STATUSES,
+  canTransition,
+  transitionOrder,
+  setOrderStatus,
+  revertFailedRefund
+} = require('./orders');
+const { normalizeEmail, normalizePhone } = require('./contact');
+const pricing = require('./pricing');
+const tokens = require('./tokens');
+const { parsePriceTiers, orderPricingTier, couponDiscount } = pricing;
+const { loadConfig } = require('./config');
+const { createChannels, templates: notificationTemplates, NOTIFY_EVENTS } = require('./notifications');
+
+// Fail fast on missing/invalid settings instead of charging NaN or running without Mongo
+let config;
+try {
+  config = loadConfig(process.env);
+} catch (e) {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+}
 
 const app = express();
 
 const {
-  PORT = 3000,
+  PORT,
   SITE_URL,
   PAYSTACK_PUBLIC_KEY,
   PAYSTACK_SECRET_KEY,
-  PAYSTACK_WEBHOOK_SECRET,
   MONGODB_URI,
   FB_PIXEL_ID,
   FB_ACCESS_TOKEN,
-  FB_GRAPH_VERSION = 'v23.0',
+  FB_GRAPH_VERSION,
   FB_TEST_EVENT_CODE,
   TELEGRAM_BOT_TOKEN,
   TELEGRAM_CHAT_ID,
+  TELEGRAM_WEBHOOK_SECRET,
+  TELEGRAM_ADMIN_IDS,
+  TELEGRAM_API_URL,
+  WHATSAPP_PHONE_NUMBER_ID,
+  WHATSAPP_ACCESS_TOKEN,
+  WHATSAPP_TEMPLATE_NAME,
+  WHATSAPP_TEMPLATE_LANGUAGE,
+  WHATSAPP_APP_SECRET,
+  WHATSAPP_VERIFY_TOKEN,
+  WHATSAPP_GRAPH_URL,
+  ADMIN_API_KEY,
+  ADMIN_API_KEYS,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASS,
+  SMTP_SECURE,
+  SMTP_IGNORE_TLS,
+  MAIL_FROM,
+  MAIL_REPLY_TO,
+  RECEIPT_NOTE,
+  DOWNLOAD_SECRET,
+  DOWNLOAD_TTL_HOURS,
+  DOWNLOAD_MAX,
+  DOWNLOADS_DIR,
+  RECONCILE_MIN_AGE_MINUTES,
+  RECONCILE_INTERVAL_MINUTES,
+  CART_RECOVERY_ENABLED,
+  CART_RECOVERY_DELAYS_MINUTES,
+  PAYMENT_PROVIDER,
+  PAYMENT_FALLBACK_PROVIDER,
   PRODUCT_NAME,
   PRODUCT_ID,
-  PRODUCT_PRICE_NGN,
   PRODUCT_PRICE_KOBO,
-  CURRENCY = 'NGN',
+  CURRENCY,
   DRIVE_LINK,
-  WHATSAPP_GROUP_URL
-} = process.env;
+  WHATSAPP_GROUP_URL,
+  RATE_LIMIT_STORE,
+  TRUST_PROXY_HOPS,
+  POW_DIFFICULTY
+} = config;
+
+// MongoDB Setup - nothing works without it, so a failed first connect is fatal
+mongoose.connect(MONGODB_URI, { autoIndex: true, serverSelectionTimeoutMS: 15000 })
+  .then(() => {
+    console.log('✓ MongoDB connected');
+    return seedDefaultProduct();
+  })
+  .catch((e) => {
+    console.error('✗ MongoDB error:', e.message);
+    process.exit(1);
+  });
+
+// Product catalog - each guide carries its own price and delivery links
+const ProductSchema = new mongoose.Schema({
+  productId: { type: String, required: true, unique: true, index: true },
+  name: { type: String, required: true },
+  description: String,
+  amountKobo: { type: Number, required: true, min: 0 }, // Regular price; an active price tier overrides it
+  currency: { type: String, default: 'NGN' },
+  // Scheduled prices, e.g. a launch price until a deadline (see currentPricing)
+  priceTiers: [{
+    _id: false,
+    tierId: { type: String, required: true },
+    label: String,         // Shown with the countdown, e.g. "Launch price"
+    amountKobo: { type: Number, required: true, min: 0 },
+    startsAt: Date,        // Unset = already started
+    endsAt: Date,          // The countdown deadline; unset = no deadline
+    maxOrders: Number      // Paid orders at this tier before it sells out; unset = unlimited
+  }],
+  driveLink: String,     // Redirect target behind /download/:token
+  filePath: String,      // Or a file under DOWNLOADS_DIR, streamed directly
+  communityUrl: String,
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 }
+}, { timestamps: true });
 
-// MongoDB Setup
-mongoose.connect(MONGODB_URI, { autoIndex: true })
-  .then(() => console.log('✓ MongoDB connected'))
-  .catch((e) => console.error('✗ MongoDB error:', e.message));
+const Product = mongoose.model('Product', ProductSchema);
+
+// Coupons - percent (value = 0-100) or fixed (value = kobo off)
+const CouponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  type: { type: String, enum: ['percent', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  productIds: [String],   // Empty = valid for every product
+  startsAt: Date,
+  expiresAt: Date,
+  maxRedemptions: Number, // Paid orders across all buyers; unset = unlimited
+  perEmailLimit: Number,  // Paid orders per buyer email; unset = unlimited
+  active: { type: Boolean, default: true },
+  note: String
+}, { timestamps: true });
+
+const Coupon = mongoose.model('Coupon', CouponSchema);
+
+// Post-purchase upsells shown on paycomplete; paid as a separate child order
+const UpsellOfferSchema = new mongoose.Schema({
+  offerId: { type: String, required: true, unique: true },
+  productId: { type: String, required: true }, // Product being offered
+  triggerProductIds: [String],                 // Shown after buying one of these; empty = any
+  headline: { type: String, required: true },
+  description: String,
+  amountKobo: { type: Number, min: 0 },        // Offer price; unset = product price
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 }
+}, { timestamps: true });
+
+const UpsellOffer = mongoose.model('UpsellOffer', UpsellOfferSchema);
+
+// One marketing touch, captured client-side into the _ft / _lt cookies
+const TouchSchema = new mongoose.Schema({
+  channel: String, // google_ads | tiktok_ads | meta_ads | <utm_source> | referral:<host> | direct
+  utm_source: String,
+  utm_medium: String,
+  utm_campaign: String,
+  utm_term: String,
+  utm_content: String,
+  gclid: String,
+  ttclid: String,
+  fbclid: String,
+  referrer: String,
+  landingPath: String,
+  at: Date
+}, { _id: false });
 
 const OrderSchema = new mongoose.Schema({
   reference: { type: String, index: true, unique: true },
   email: { type: String, required: true },
   firstName: String, // Optional - collected via WhatsApp modal
   lastName: String,  // Optional - collected via WhatsApp modal
-  phone: String,     // Optional - collected via WhatsApp modal
-  amount: Number,
+  phone: String,     // Optional - collected via WhatsApp modal, E.164 (+234...)
+  phoneHistory: [{
+    _id: false,
+    phone: String,
+    previous: String,
+    ip: String,
+    at: { type: Date, default: Date.now }
+  }],
+  productId: String,
+  productName: String,
+  visitorId: { type: String, index: true },
+  parentReference: { type: String, index: true }, // Set on upsell orders
+  affiliateCode: { type: String, index: true },
+  attribution: {
+    firstTouch: TouchSchema,
+    lastTouch: TouchSchema
+  },
+  upsellOfferId: String,
+  recoveredFrom: { type: String, index: true }, // Abandoned order whose reminder link started this checkout
+  provider: { type: String, default: 'paystack' },
+  providerTransactionId: String,
+  originalAmount: Number, // List price in kobo before any coupon (the price tier's, if one was active)
+  pricingTier: {
+    tierId: String,       // 'regular' when no tier was active
+    label: String,
+    amountKobo: Number,
+    regularAmountKobo: Number
+  },
+  discount: { type: Number, default: 0 },
+  amount: Number,         // Final charged amount in kobo - what Paystack must report
   currency: String,
+  coupon: {
+    code: String,
+    type: { type: String },
+    value: Number,
+    limitCheckedAt: Date, // Limits re-checked once paid (see flagCouponOverLimit)
+    overLimit: String     // max_redemptions | per_email - paid after the code ran out
+  },
   ip: String,
   userAgent: String,
   fbclid: String,
   fbc: String,
   fbp: String,
   country: { type: String, default: 'NG' },
-  status: { type: String, enum: ['initialized', 'success', 'failed'], default: 'initialized' },
+  status: {
+    type: String,
+    enum: ['initialized', 'success', 'failed', 'refund_pending', 'refunded', 'partially_refunded', 'disputed'],
+    default: 'initialized'
+  },
   verifiedAt: Date,
+  history: [{
+    _id: false,
+    from: String,
+    to: String,
+    actor: String, // verify | webhook | admin:<id> | system
+    note: String,
+    at: { type: Date, default: Date.now }
+  }],
+  refund: {
+    status: { type: String }, // pending | processed | failed
+    amount: Number,           // Total refunded so far (kobo)
+    requestedAmount: Number,
+    providerRefundId: String,
+    reason: String,
+    error: String,
+    updatedAt: Date
+  },
+  accessRevokedAt: Date,
+  reconcile: {
+    lastCheckedAt: Date,
+    providerStatus: String
+  },
+  download: {
+    grantId: String,
+    issuedAt: Date,
+    expiresAt: Date,
+    maxDownloads: Number,
+    count: { type: Number, default: 0 },
+    revokedAt: Date
+  },
+  downloadLog: [{
+    _id: false,
+    at: Date,
+    ip: String,
+    userAgent: String,
+    grantId: String,
+    outcome: String // ok | expired | revoked | superseded | limit_reached | order_inactive
+  }],
+  dispute: {
+    id: String,
+    status: { type: String },
+    reason: String,
+    refundAmount: Number,
+    openedAt: Date
+  },
   capi: {
     sent: { type: Boolean, default: false },
     lastTriedAt: Date,
@@ -71,11 +293,29 @@ const OrderSchema = new mongoose.Schema({
     response: mongoose.Schema.Types.Mixed,
     error: String
   },
-  telegram: {
-    orderSent: { type: Boolean, default: false },
-    phoneSent: { type: Boolean, default: false },
+  whatsapp: {
+    status: { type: String }, // accepted | retrying | sent | delivered | read | failed
+    messageId: { type: String, index: true }, // wamid of the latest guide message
+    phone: String,
+    acceptedAt: Date,
+    sentAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+    failedAt: Date,
+    error: String,
+    fallbackAt: Date // Manual alert sent instead
+  },
+  fulfillment: {
+    guideSentAt: Date,  // Set from the Telegram "Mark guide sent" button
+    guideSentBy: String
+  },
+  mail: {
+    receiptSent: { type: Boolean, default: false },
+    sentAt: Date,
     lastTriedAt: Date,
-    response: mongoose.Schema.Types.Mixed
+    tries: { type: Number, default: 0 },
+    messageId: String,
+    error: String
   },
   successToken: String,
   tokenExpiresAt: Date,
@@ -84,9 +324,312 @@ const OrderSchema = new mongoose.Schema({
 
 OrderSchema.index({ status: 1, 'capi.sent': 1 });
 OrderSchema.index({ successToken: 1, tokenExpiresAt: 1 });
+OrderSchema.index({ 'coupon.code': 1, status: 1, email: 1 });
+OrderSchema.index({ productId: 1, 'pricingTier.tierId': 1, status: 1 });
 
 const Order = mongoose.model('Order', OrderSchema);
 
+// Every provider webhook, stored before processing so nothing is dropped
+const WebhookEventSchema = new mongoose.Schema({
+  provider: { type: String, default: 'paystack' },
+  eventId: { type: String, required: true, unique: true },
+  event: { type: String, index: true },
+  reference: { type: String, index: true },
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lastError: String,
+  note: String,
+  processedAt: Date
+}, { timestamps: true });
+
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+// Mutating admin calls, for accountability
+const AdminAuditLogSchema = new mongoose.Schema({
+  actor: { type: String, index: true },
+  action: String,
+  method: String,
+  path: String,
+  target: { type: String, index: true }, // Order reference when applicable
+  body: mongoose.Schema.Types.Mixed,
+  statusCode: Number,
+  ip: String
+}, { timestamps: true });
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', AdminAuditLogSchema);
+
+// Telegram bot commands and button presses, including rejected ones
+const TelegramCommandLogSchema = new mongoose.Schema({
+  updateId: { type: Number, required: true, unique: true }, // Telegram redelivers; one row per update
+  kind: { type: String, enum: ['command', 'callback'] },
+  chatId: String,
+  userId: String,
+  username: String,
+  command: { type: String, index: true },
+  args: [String],
+  allowed: Boolean,
+  ok: Boolean,
+  reply: String,
+  error: String
+}, { timestamps: true });
+
+const TelegramCommandLog = mongoose.model('TelegramCommandLog', TelegramCommandLogSchema);
+
+// One notification to one destination; the job queue retries, this keeps the outcome
+const NotificationDeliverySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // event:reference:variant:destinationId
+  event: { type: String, index: true },
+  reference: { type: String, index: true },
+  destinationId: { type: String, index: true },
+  destinationType: String,
+  params: mongoose.Schema.Types.Mixed, // Template extras (refund stage...)
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastTriedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  messageId: String
+}, { timestamps: true });
+
+NotificationDeliverySchema.index({ status: 1, createdAt: -1 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', NotificationDeliverySchema);
+
+// One row per /api/visitor hit - the top of the conversion funnel
+const VisitorHitSchema = new mongoose.Schema({
+  visitorKey: String, // First-party visitor id (_vid cookie)
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+const VisitorHit = mongoose.model('VisitorHit', VisitorHitSchema);
+
+// One document per first-party visitor id
+const VisitSchema = new mongoose.Schema({
+  visitorId: { type: String, required: true, unique: true },
+  landingUrl: String,
+  referrer: String,
+  utm: {
+    source: String,
+    medium: String,
+    campaign: String,
+    term: String,
+    content: String
+  },
+  fbclid: String,
+  ip: String,
+  userAgent: String,
+  visits: { type: Number, default: 0 },
+  orderReferences: [String],
+  firstSeenAt: Date,
+  lastSeenAt: Date
+}, { timestamps: true });
+
+const Visit = mongoose.model('Visit', VisitSchema);
+
+// Client-side funnel steps (CTA click, lead modal, payment init, Paystack close)
+const FunnelEventSchema = new mongoose.Schema({
+  visitorId: { type: String, index: true },
+  name: { type: String, required: true },
+  reference: String,
+  meta: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now }
+});
+
+FunnelEventSchema.index({ name: 1, createdAt: 1 });
+
+const FunnelEvent = mongoose.model('FunnelEvent', FunnelEventSchema);
+
+// Non-Purchase CAPI events (Purchase bookkeeping lives on Order.capi)
+const CapiEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  eventName: { type: String, required: true },
+  reference: { type: String, index: true },
+  visitorId: String,
+  payload: mongoose.Schema.Types.Mixed,
+  sent: { type: Boolean, default: false },
+  tries: { type: Number, default: 0 },
+  lastTriedAt: Date,
+  response: mongoose.Schema.Types.Mixed,
+  error: String
+}, { timestamps: true });
+
+CapiEventSchema.index({ sent: 1, tries: 1 });
+
+const CapiEvent = mongoose.model('CapiEvent', CapiEventSchema);
+
+// Outbound job queue - see enqueueJob / runDueJobs
+const JobSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true },
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'dead'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  runAt: { type: Date, default: Date.now },
+  dedupeKey: { type: String, unique: true, sparse: true },
+  lockedBy: String,
+  lockedAt: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date
+}, { timestamps: true });
+
+JobSchema.index({ status: 1, runAt: 1 });
+
+const Job = mongoose.model('Job', JobSchema);
+
+// One report per reconciliation run
+const ReconciliationRunSchema = new mongoose.Schema({
+  startedAt: Date,
+  finishedAt: Date,
+  dryRun: { type: Boolean, default: false },
+  actor: String,
+  slot: { type: Number, unique: true, sparse: true }, // Scheduled runs only; see reconciliationSlot
+  olderThanMinutes: Number,
+  checked: { type: Number, default: 0 },
+  promoted: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  discrepancies: [{
+    _id: false,
+    reference: String,
+    type: { type: String }, // paid_but_initialized | amount_mismatch | currency_mismatch | not_found_on_provider
+    providerStatus: String,
+    expected: mongoose.Schema.Types.Mixed,
+    actual: mongoose.Schema.Types.Mixed
+  }],
+  failures: [{ _id: false, reference: String, error: String }] // Paystack/API errors; retried next run
+}, { timestamps: true });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', ReconciliationRunSchema);
+
+// Runtime settings editable from the admin API (e.g. payment provider failover)
+const SettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: String
+}, { timestamps: true });
+
+const Setting = mongoose.model('Setting', SettingSchema);
+
+// One-time "recover my purchase" links (only the hash is stored)
+const RecoveryTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  email: { type: String, required: true },
+  ip: String,
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  usedIp: String
+}, { timestamps: true });
+
+// Mongo drops expired links a day after they lapse
+RecoveryTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const RecoveryToken = mongoose.model('RecoveryToken', RecoveryTokenSchema);
+
+// Rate limit counters shared across instances (RATE_LIMIT_STORE=mongo); one doc per key per window
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
+
+// Affiliates - creators who share ?ref=CODE / ?aff=CODE links
+const AffiliateSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  name: { type: String, required: true },
+  email: String,
+  apiKeyHash: { type: String, index: true }, // sha256 of the key they use for /api/affiliate/me
+  commissionType: { type: String, enum: ['percent', 'fixed'], default: 'percent' },
+  commissionValue: { type: Number, default: 20, min: 0 }, // percent 0-100, or kobo per sale
+  clicks: { type: Number, default: 0 },
+  lastClickAt: Date,
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const Affiliate = mongoose.model('Affiliate', AffiliateSchema);
+
+// Commission ledger - signed kobo amounts; balance = sum(amount)
+const AffiliateLedgerSchema = new mongoose.Schema({
+  affiliateCode: { type: String, required: true, index: true },
+  type: { type: String, enum: ['accrual', 'reversal', 'payout'], required: true },
+  amount: { type: Number, required: true }, // + accrual, - reversal / payout
+  currency: { type: String, default: 'NGN' },
+  reference: String,   // Order reference (accrual / reversal)
+  orderAmount: Number,
+  note: String,
+  actor: String,
+  dedupeKey: { type: String, required: true, unique: true }
+}, { timestamps: true });
+
+const AffiliateLedger = mongoose.model('AffiliateLedger', AffiliateLedgerSchema);
+
+// Abandoned checkout reminder sequence - one per abandoned order, at most one active per email
+const CheckoutRecoverySchema = new mongoose.Schema({
+  email: { type: String, required: true, index: true },
+  reference: { type: String, required: true, unique: true }, // The abandoned order
+  productId: String,
+  productName: String,
+  amount: Number,
+  currency: String,
+  abandonedAt: Date, // When the abandoned checkout started; reminder delays count from here
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'completed', 'stopped'],
+    default: 'active'
+  },
+  stepsSent: { type: Number, default: 0 },
+  nextAt: Date,
+  lastSentAt: Date,
+  sends: [{
+    _id: false,
+    step: Number,
+    at: Date,
+    messageId: String
+  }],
+  lastError: String,
+  resumes: [{ _id: false, reference: String, at: Date }], // Checkouts started from the reminder link
+  stopReason: String, // unsubscribed | superseded | converted | already_owned | disabled
+  convertedAt: Date,
+  recoveredReference: String,
+  recoveredAmount: Number,
+  recoveredCurrency: String,
+  viaLink: Boolean // Paid through the reminder link (recovered) rather than on their own (assisted)
+}, { timestamps: true });
+
+CheckoutRecoverySchema.index({ email: 1, status: 1 });
+CheckoutRecoverySchema.index({ status: 1, convertedAt: 1 });
+
+const CheckoutRecovery = mongoose.model('CheckoutRecovery', CheckoutRecoverySchema);
+
+// Addresses that opted out of marketing email (cart reminders); receipts still go out
+const EmailSuppressionSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  reason: { type: String, default: 'unsubscribe' },
+  source: String // link | one_click | admin
+}, { timestamps: true });
+
+const EmailSuppression = mongoose.model('EmailSuppression', EmailSuppressionSchema);
+
 // Middleware
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(morgan('dev'));
@@ -95,7 +638,9 @@ app.use(express.json({ verify: rawBodySaver }));
 app.use(express.urlencoded({ extended: true, verify: rawBodySaver }));
 function rawBodySaver(req, res, buf) { if (buf && buf.length) req.rawBody = buf.toString('utf8'); }
 
-app.set('trust proxy', true);
+// Only the proxies in front of us are trusted; with `true`, req.ip would be whatever the client
+// put first in X-Forwarded-For and every per-IP limit could be dodged by rotating it
+app.set('trust proxy', TRUST_PROXY_HOPS);
 
 // CORS
 app.use(
@@ -112,16 +657,9 @@ app.options('*', cors());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Helpers
-const paystack = axios.create({
-  baseURL: 'https://api.paystack.co',
-  headers: { Authorization: `Bearer ${PAYSTACK_SECRET_KEY}` },
-  timeout: 30000
-});
-
+const providers = createProviders(config); // see providers/index.js
 const graphUrl = `https://graph.facebook.com/${FB_GRAPH_VERSION}/${FB_PIXEL_ID}/events`;
 
-const normalizeEmail = (email) => (email || '').trim().toLowerCase();
-
 /**
  * SHA256 hash function for PII data
  * Per Meta CAPI requirements: lowercase and trim before hashing
@@ -141,8 +679,96 @@ function formatPhoneForCAPI(phone) {
   return phone.replace(/\D/g, '');
 }
 
+/**
+ * Fixed-window counter stores
+ * hit(key) counts one request and returns { count, resetAt } for the current window;
+ * peek(key) returns the same without counting
+ */
+function memoryCounterStore(windowMs) {
+  const buckets = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(k);
+    }
+  }, windowMs).unref();
+
+  return {
+    async hit(k) {
+      const now = Date.now();
+      let bucket = buckets.get(k);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(k, bucket);
+      }
+      bucket.count++;
+      return bucket;
+    },
+    async peek(k) {
+      const bucket = buckets.get(k);
+      return bucket && bucket.resetAt > Date.now() ? bucket : { count: 0, resetAt: Date.now() + windowMs };
+    }
+  };
+}
+
+function mongoCounterStore(windowMs) {
+  return {
+    async hit(k) {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key: `${k}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt };
+    },
+    async peek(k) {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const counter = await RateLimitCounter.findOne({ key: `${k}:${windowStart}` }).lean();
+      return { count: counter?.count || 0, resetAt: windowStart + windowMs };
+    }
+  };
+}
+
+const createCounterStore = (windowMs) =>
+  RATE_LIMIT_STORE === 'mongo' ? mongoCounterStore(windowMs) : memoryCounterStore(windowMs);
+
+/**
+ * Fixed-window rate limiter
+ * key(req) picks the bucket (null skips the check); buckets reset every windowMs.
+ * A store outage lets requests through rather than blocking checkout.
+ */
+function createRateLimiter({ windowMs, max, key, message = 'Too many requests. Please try again later.' }) {
+  const store = createCounterStore(windowMs);
+
+  return async (req, res, next) => {
+    const k = key(req);
+    if (!k) return next();
+
+    let bucket;
+    try {
+      bucket = await store.hit(k);
+    } catch (e) {
+      console.error('❌ Rate limit store error:', e.message);
+      return next();
+    }
+
+    if (bucket.count > max) {
+      const retryAfter = Math.max(Math.ceil((bucket.resetAt - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      console.warn(`🚦 Rate limited ${k} (${bucket.count}/${max})`);
+      return res.status(429).json({ ok: false, error: message, code: 'RATE_LIMITED', retryAfter });
+    }
+    next();
+  };
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 function setCookie(res, name, value, days = 365, { httpOnly = false } = {}) {
-  const isProd = process.env.NODE_ENV === 'production';
+  const isProd = config.NODE_ENV === 'production';
   const base = {
     path: '/',
     maxAge: days * 24 * 60 * 60 * 1000,
@@ -164,588 +790,4868 @@ function setCookie(res, name, value, days = 365, { httpOnly = false } = {}) {
   }
 }
 
-// Telegram notification for order
-async function sendOrderTelegram(order, eventData) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-    return { sent: false, reason: 'Telegram not configured' };
-  }
+const SUCCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const RESEND_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
-  try {
-    const message = `
-🎉 *NEW SALE - ${order.currency} ${(order.amount / 100).toLocaleString()}*
+// New paycomplete token; the caller saves the order
+function issueSuccessToken(order, ttlMs = SUCCESS_TOKEN_TTL_MS) {
+  const token = uuidv4();
+  order.successToken = token;
+  order.tokenExpiresAt = new Date(Date.now() + ttlMs);
+  return token;
+}
+
+/**
+ * Seed the catalog from the legacy PRODUCT_* env vars
+ * Keeps single-product deployments working without touching Mongo by hand
+ */
+async function seedDefaultProduct() {
+  if (!PRODUCT_ID) return;
+
+  const result = await Product.updateOne(
+    { productId: PRODUCT_ID },
+    {
+      $setOnInsert: {
+        productId: PRODUCT_ID,
+        name: PRODUCT_NAME || PRODUCT_ID,
+        amountKobo: PRODUCT_PRICE_KOBO,
+        currency: CURRENCY,
+        driveLink: DRIVE_LINK,
+        communityUrl: WHATSAPP_GROUP_URL
+      }
+    },
+    { upsert: true }
+  );
 
-*CUSTOMER DETAILS*
-📧 Email: \`${order.email}\`
-${order.phone ? `📱 Phone: \`${order.phone}\`` : ''}
+  if (result.upsertedCount) {
+    console.log(`✓ Default product seeded: ${PRODUCT_ID}`);
+  }
+}
 
-*ORDER INFO*
-🔖 Reference: \`${order.reference}\`
-💵 Amount: ${order.currency} ${(order.amount / 100).toLocaleString()}
-🕐 Time: ${new Date(order.verifiedAt || order.createdAt).toLocaleString('en-NG', { timeZone: 'Africa/Lagos' })}
+// Active product for checkout; falls back to PRODUCT_ID when none is requested
+async function findProduct(productId) {
+  return Product.findOne({ productId: productId || PRODUCT_ID, active: true });
+}
 
-*TRACKING DATA*
-🌐 IP: \`${order.ip || 'N/A'}\`
-🔗 FBC: \`${order.fbc || 'N/A'}\`
-🍪 FBP: \`${order.fbp || 'N/A'}\`
-🌍 Country: ${order.country || 'NG'}
+// Product an order was placed for (inactive products still deliver to past buyers)
+async function findOrderProduct(order) {
+  return Product.findOne({ productId: order.productId || PRODUCT_ID });
+}
 
-*META CAPI EVENT*
-Event: Purchase
-Event ID: \`${order.reference}\`
-Status: ${eventData?.capiSent ? '✅ Sent Successfully' : '⚠️ ' + (eventData?.capiError || 'Pending/Retrying')}
-Tries: ${order.capi?.tries || 0}
+// Price a product right now (see pricing.js)
+const currentPricing = (product, { now, email } = {}) =>
+  pricing.currentPricing(product, { now, email, countOrders: (filter) => Order.countDocuments(filter) });
 
-*GUIDE DELIVERY*
-📗 Drive Link: ${DRIVE_LINK}
-💬 WhatsApp: ${WHATSAPP_GROUP_URL}
-    `.trim();
+/**
+ * Apply a coupon code to a product for a buyer
+ * Redemptions are counted from paid orders so abandoned checkouts don't burn a code.
+ * baseAmount is the price the discount comes off (the active tier's; defaults to the regular price)
+ */
+async function applyCoupon({ code, email, product, baseAmount = product.amountKobo }) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!normalized) return { ok: false, error: 'Coupon code is required' };
 
-    const telegramUrl = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
-    const { data } = await axios.post(telegramUrl, {
-      chat_id: TELEGRAM_CHAT_ID,
-      text: message,
-      parse_mode: 'Markdown'
-    }, { timeout: 10000 });
+  const coupon = await Coupon.findOne({ code: normalized, active: true });
+  if (!coupon) return { ok: false, error: 'Invalid coupon code' };
 
-    return { sent: true, response: data };
-  } catch (err) {
-    console.error('❌ Order Telegram notification failed:', err.response?.data || err.message);
-    return { sent: false, error: err.response?.data || err.message };
+  const now = new Date();
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return { ok: false, error: 'Coupon is not active yet' };
   }
-}
-
-// Telegram notification for phone number
-async function sendPhoneTelegram(order) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-    return { sent: false, reason: 'Telegram not configured' };
+  if (coupon.expiresAt && now > coupon.expiresAt) {
+    return { ok: false, error: 'Coupon has expired' };
+  }
+  if (coupon.productIds?.length && !coupon.productIds.includes(product.productId)) {
+    return { ok: false, error: 'Coupon does not apply to this product' };
   }
 
-  if (!order.phone) {
-    return { sent: false, reason: 'No phone number' };
+  if (coupon.maxRedemptions != null) {
+    const used = await Order.countDocuments({ 'coupon.code': coupon.code, status: 'success' });
+    if (used >= coupon.maxRedemptions) {
+      return { ok: false, error: 'Coupon has been fully redeemed' };
+    }
   }
 
-  try {
-    const message = `
-📱 *WHATSAPP NUMBER COLLECTED*
+  if (coupon.perEmailLimit != null && email) {
+    const usedByEmail = await Order.countDocuments({
+      'coupon.code': coupon.code,
+      status: 'success',
+      email: normalizeEmail(email)
+    });
+    if (usedByEmail >= coupon.perEmailLimit) {
+      return { ok: false, error: 'You have already used this coupon' };
+    }
+  }
 
-*ORDER REFERENCE*
-🔖 Reference: \`${order.reference}\`
+  const originalAmount = baseAmount;
+  const discount = couponDiscount(coupon, originalAmount);
 
-*CUSTOMER INFO*
-📧 Email: \`${order.email}\`
-📱 WhatsApp: \`${order.phone}\`
+  return {
+    ok: true,
+    coupon,
+    originalAmount,
+    discount,
+    finalAmount: originalAmount - discount
+  };
+}
 
-*TIME*
-🕐 Submitted: ${new Date().toLocaleString('en-NG', { timeZone: 'Africa/Lagos' })}
+/**
+ * Re-check a coupon's limits once its order is paid
+ * applyCoupon only sees orders already paid, so checkouts started side by side can all get
+ * the code. Orders paid after the limit was reached are flagged for an admin to refund or
+ * honour; the order itself still goes through.
+ */
+async function flagCouponOverLimit(order) {
+  if (!order.coupon?.code || order.coupon.limitCheckedAt) return;
 
-*ACTION REQUIRED*
-✅ Send the guide to: ${order.phone}
-💬 WhatsApp Link: ${WHATSAPP_GROUP_URL}
-📗 Drive Link: ${DRIVE_LINK}
-    `.trim();
+  const coupon = await Coupon.findOne({ code: order.coupon.code });
+  const paidAt = order.verifiedAt || new Date();
+  // Redemptions paid before this one; same-millisecond ties go by _id
+  const paidEarlier = {
+    'coupon.code': order.coupon.code,
+    status: 'success',
+    $or: [{ verifiedAt: { $lt: paidAt } }, { verifiedAt: paidAt, _id: { $lt: order._id } }]
+  };
 
-    const telegramUrl = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
-    const { data } = await axios.post(telegramUrl, {
-      chat_id: TELEGRAM_CHAT_ID,
-      text: message,
-      parse_mode: 'Markdown'
-    }, { timeout: 10000 });
+  let overLimit = null;
+  if (coupon?.maxRedemptions != null && await Order.countDocuments(paidEarlier) >= coupon.maxRedemptions) {
+    overLimit = 'max_redemptions';
+  } else if (coupon?.perEmailLimit != null && await Order.countDocuments({ ...paidEarlier, email: order.email }) >= coupon.perEmailLimit) {
+    overLimit = 'per_email';
+  }
 
-    return { sent: true, response: data };
-  } catch (err) {
-    console.error('❌ Phone Telegram notification failed:', err.response?.data || err.message);
-    return { sent: false, error: err.response?.data || err.message };
+  order.coupon.limitCheckedAt = new Date();
+  if (overLimit) {
+    order.coupon.overLimit = overLimit;
+    order.history.push({ from: order.status, to: order.status, actor: 'system', note: `Coupon ${order.coupon.code} over limit (${overLimit})` });
+    console.warn(`⚠️ Coupon ${order.coupon.code} over limit (${overLimit}) on ${order.reference}`);
   }
+  await order.save();
 }
 
-// API: Config
-app.get('/api/config', (req, res) => {
-  res.json({
-    publicKey: PAYSTACK_PUBLIC_KEY,
-    product: {
-      id: PRODUCT_ID,
-      name: PRODUCT_NAME,
-      amountKobo: Number(PRODUCT_PRICE_KOBO),
-      currency: CURRENCY
-    },
-    siteUrl: SITE_URL
-  });
-});
+// With pricing (from currentPricing), amountKobo is what checkout charges right now
+function publicProduct(product, pricing) {
+  return {
+    id: product.productId,
+    name: product.name,
+    description: product.description,
+    amountKobo: pricing ? pricing.amountKobo : product.amountKobo,
+    regularAmountKobo: product.amountKobo,
+    currency: product.currency,
+    tier: pricing?.tier || null
+  };
+}
 
-// API: Capture visitor
-app.post('/api/visitor', (req, res) => {
-  const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
-  const userAgent = req.headers['user-agent'] || '';
-  
-  setCookie(res, '_vip', ip, 30);
-  setCookie(res, '_vua', userAgent, 30);
-  
-  res.json({ ok: true, ip, userAgent });
-});
+async function pricedProducts(products) {
+  return Promise.all(products.map(async (product) => publicProduct(product, await currentPricing(product))));
+}
 
-// API: Identify
-app.post('/api/identify', (req, res) => {
-  const now = Math.floor(Date.now() / 1000);
-  const { fbclid, fbc, fbp } = req.body || {};
+// Bot API call; TELEGRAM_API_URL can point at tools/telegram-stub.js for local testing
+async function telegramApi(method, payload) {
+  const { data } = await axios.post(`${TELEGRAM_API_URL}/bot${TELEGRAM_BOT_TOKEN}/${method}`, payload, { timeout: 10000 });
+  return data;
+}
 
-  const _fbc = fbc || (fbclid ? `fb.1.${now}.${fbclid}` : (req.cookies._fbc || null));
-  const _fbp = fbp || req.cookies._fbp || `fb.1.${now}.${Math.floor(Math.random() * 1e10)}`;
+// Buttons under the sale / phone messages, handled by the admin bot (see /webhooks/telegram)
+function orderKeyboard(order) {
+  const ref = order.reference;
+  const guide = order.fulfillment?.guideSentAt
+    ? { text: `✅ Guide sent (${order.fulfillment.guideSentBy || 'admin'})`, callback_data: `noop:${ref}` }
+    : { text: '📗 Mark guide sent', callback_data: `guide_sent:${ref}` };
+  return {
+    inline_keyboard: [
+      [guide],
+      [{ text: '🔁 Resend links', callback_data: `resend:${ref}` }, { text: '💸 Refund', callback_data: `refund:${ref}` }]
+    ]
+  };
+}
 
-  if (_fbc) setCookie(res, '_fbc', _fbc, 90);
-  if (_fbp) setCookie(res, '_fbp', _fbp, 90);
-  if (fbclid) setCookie(res, 'fbclid', fbclid, 7);
+/**
+ * Notifications (sale, phone, refund) - see notifications/ for templates and channels
+ * Routing lives in Mongo (GET/PUT /api/admin/notifications): each destination lists the
+ * events it wants. notify() writes one NotificationDelivery per matching destination and
+ * queues a job for it, so every destination has its own status and retries.
+ */
+const notificationChannels = createChannels({ telegramApi, telegramEnabled: config.integrations.telegram });
 
-  res.json({ ok: true, _fbc, _fbp, fbclid: fbclid || req.cookies.fbclid || null });
+// Without saved settings, everything goes to TELEGRAM_CHAT_ID as before
+const defaultNotificationSettings = () => ({
+  destinations: config.integrations.telegram
+    ? [{ id: 'telegram', type: 'telegram', chatId: TELEGRAM_CHAT_ID, events: ['*'], enabled: true }]
+    : []
 });
 
-// API: Initialize Transaction (EMAIL ONLY)
-app.post('/api/tx/init', async (req, res) => {
-  try {
-    const { email } = req.body;
-    
-    // Validation - only email required
-    if (!email || !email.trim()) {
-      return res.status(400).json({ ok: false, error: 'Email is required' });
-    }
+let notificationSettingsCache = null;
+async function getNotificationSettings() {
+  if (notificationSettingsCache && notificationSettingsCache.loadedAt > Date.now() - 30 * 1000) {
+    return notificationSettingsCache.value;
+  }
+  const stored = await Setting.findOne({ key: 'notifications' });
+  const value = stored?.value || defaultNotificationSettings();
+  notificationSettingsCache = { value, loadedAt: Date.now() };
+  return value;
+}
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ ok: false, error: 'Valid email is required' });
+const destinationWants = (destination, event) =>
+  destination.enabled !== false && (destination.events || []).some((e) => e === '*' || e === event);
+
+/**
+ * Fan an order event out to every destination routed to it
+ * variant makes repeat notices unique (phone changes, refund stages); the same
+ * event + variant is only ever delivered once per destination. Never throws.
+ */
+async function notify(event, order, { variant = '', params, runAt } = {}) {
+  let queued = 0;
+  try {
+    const { destinations } = await getNotificationSettings();
+    for (const destination of destinations.filter((d) => destinationWants(d, event))) {
+      const key = [event, order.reference, variant, destination.id].join(':');
+      let delivery;
+      try {
+        delivery = await NotificationDelivery.create({
+          key,
+          event,
+          reference: order.reference,
+          destinationId: destination.id,
+          destinationType: destination.type,
+          params
+        });
+      } catch (e) {
+        if (e.code === 11000) continue;
+        throw e;
+      }
+      const job = await enqueueJobSafe('notify.deliver', { deliveryId: String(delivery._id) }, { runAt, dedupeKey: `notify:${key}` });
+      if (job) queued++;
     }
+  } catch (e) {
+    console.error(`❌ Could not route ${event} for ${order.reference}:`, e.message);
+  }
+  return queued;
+}
 
-    const ip = req.cookies._vip || (req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip);
-    const userAgent = req.cookies._vua || req.headers['user-agent'] || '';
-    const _fbc = req.cookies._fbc || null;
-    const _fbp = req.cookies._fbp || null;
-    const fbclid = req.cookies.fbclid || null;
+// Queue a refund notice; failures are logged, never thrown
+function notifyRefund(order, stage) {
+  return notify('order.refund', order, {
+    variant: `${stage}:${(order.refund?.updatedAt || new Date()).getTime()}`,
+    params: { stage }
+  });
+}
 
-    const reference = `GV3-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+// Render and send one delivery; the job queue retries on throw
+async function deliverNotification(delivery, job) {
+  const { destinations } = await getNotificationSettings();
+  const destination = destinations.find((d) => d.id === delivery.destinationId);
+  if (!destination || destination.enabled === false) {
+    delivery.status = 'skipped';
+    delivery.lastError = 'Destination removed or disabled';
+    await delivery.save();
+    return { skipped: delivery.lastError };
+  }
 
-    const initPayload = {
-      email,
-      amount: Number(PRODUCT_PRICE_KOBO),
-      currency: CURRENCY,
-      reference,
-      metadata: {
-        custom_fields: [
-          { display_name: 'Product', variable_name: 'product', value: PRODUCT_NAME }
-        ],
-        productId: PRODUCT_ID,
-        fbclid, 
-        _fbc, 
-        _fbp, 
-        ip
-      }
-    };
+  const channel = notificationChannels[destination.type];
+  const context = { params: delivery.params };
+  if (delivery.reference) {
+    context.order = await loadJobOrder(delivery.reference);
+    await ensureDownloadGrant(context.order);
+    context.product = await findOrderProduct(context.order);
+    context.downloadUrl = downloadUrl(context.order);
+  }
 
-    const { data } = await paystack.post('/transaction/initialize', initPayload);
-    if (!data || data.status !== true) {
-      console.error('❌ Paystack init failed:', data);
-      return res.status(400).json({ ok: false, error: 'Paystack initialization failed', details: data });
-    }
+  delivery.attempts += 1;
+  delivery.lastTriedAt = new Date();
+  try {
+    const invalid = channel ? channel.validate(destination) : `Unknown destination type: ${destination.type}`;
+    if (invalid) throw permanentError(invalid);
 
-    await Order.create({
-      reference,
-      email, 
-      amount: Number(PRODUCT_PRICE_KOBO),
-      currency: CURRENCY,
-      ip,
-      userAgent,
-      fbclid, 
-      fbc: _fbc, 
-      fbp: _fbp,
-      status: 'initialized'
+    const result = await channel.send(destination, {
+      event: delivery.event,
+      message: notificationTemplates[delivery.event](context),
+      data: {
+        ...delivery.params,
+        ...(context.order ? {
+          reference: context.order.reference,
+          status: context.order.status,
+          productId: context.order.productId,
+          amount: context.order.amount,
+          currency: context.order.currency,
+          email: context.order.email,
+          phone: context.order.phone
+        } : {})
+      },
+      replyMarkup: context.order && delivery.event !== 'order.refund' ? orderKeyboard(context.order) : undefined
     });
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.messageId = result.id;
+    delivery.lastError = null;
+    await delivery.save();
+    return { sent: true, destination: destination.id };
+  } catch (err) {
+    const final = err.permanent || !job || job.attempts >= job.maxAttempts;
+    delivery.status = final ? 'failed' : 'retrying';
+    delivery.lastError = err.message;
+    await delivery.save();
+    console.error(`❌ ${delivery.event} → ${destination.id} failed:`, err.message);
+    throw err;
+  }
+}
 
-    console.log(`✓ Payment initialized: ${reference}`);
+/**
+ * Transactional email (SMTP via nodemailer)
+ * Point SMTP_HOST/SMTP_PORT at a local stand-in (e.g. MailHog on :1025) to test
+ */
+const mailEnabled = () => config.integrations.smtp;
 
-    res.json({
-      ok: true,
-      reference,
-      access_code: data.data.access_code,
-      publicKey: PAYSTACK_PUBLIC_KEY
+let mailTransport = null;
+function getMailTransport() {
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      ignoreTLS: SMTP_IGNORE_TLS
     });
-  } catch (e) {
-    console.error('❌ tx/init error:', e.response?.data || e.message);
-    res.status(500).json({ ok: false, error: 'Server error' });
   }
+  return mailTransport;
+}
+
+async function sendMail({ to, subject, html, text, headers }) {
+  const info = await getMailTransport().sendMail({
+    from: MAIL_FROM,
+    replyTo: MAIL_REPLY_TO || undefined,
+    to,
+    subject,
+    html,
+    text,
+    headers
+  });
+  return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (kobo, currency) => `${currency || 'NGN'} ${(Number(kobo || 0) / 100).toLocaleString()}`;
+
+// Receipt email: product, reference, amount, delivery links and the optional RECEIPT_NOTE
+function renderReceiptEmail(order, product) {
+  const productName = order.productName || product?.name || 'your guide';
+  const amount = formatAmount(order.amount, order.currency);
+  const paidAt = new Date(order.verifiedAt || order.createdAt)
+    .toLocaleString('en-NG', { timeZone: 'Africa/Lagos' });
+  const driveLink = downloadUrl(order);
+  const communityUrl = product?.communityUrl;
+
+  const subject = `Your receipt & access link - ${productName}`;
+
+  const text = [
+    `Thanks for your purchase!`,
+    '',
+    `Product: ${productName}`,
+    `Reference: ${order.reference}`,
+    `Amount: ${amount}`,
+    order.discount ? `Discount: -${formatAmount(order.discount, order.currency)} (${order.coupon?.code})` : null,
+    `Date: ${paidAt}`,
+    '',
+    driveLink ? `Open your guide: ${driveLink}` : null,
+    communityUrl ? `Join the WhatsApp community: ${communityUrl}` : null,
+    RECEIPT_NOTE ? `\n${RECEIPT_NOTE}` : null,
+    '',
+    'Keep this email - it is your proof of purchase.'
+  ].filter((line) => line !== null).join('\n');
+
+  const button = (href, label, color) => `
+    <a href="${escapeHtml(href)}" style="display:inline-block;margin:6px 0;padding:12px 22px;border-radius:8px;background:${color};color:#ffffff;text-decoration:none;font-weight:600;">${escapeHtml(label)}</a>`;
+
+  const html = `
+<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#0f0f1a;font-family:Arial,Helvetica,sans-serif;color:#e0e0e0;">
+  <div style="max-width:520px;margin:0 auto;background:#1a1a2e;border-radius:12px;padding:28px;">
+    <h1 style="margin:0 0 8px;font-size:22px;color:#ffffff;">Payment received 🎉</h1>
+    <p style="margin:0 0 20px;color:#b0b0b0;">Thanks for buying <strong style="color:#ffffff;">${escapeHtml(productName)}</strong>.</p>
+
+    <table style="width:100%;border-collapse:collapse;font-size:14px;margin-bottom:20px;">
+      <tr><td style="padding:6px 0;color:#888;">Reference</td><td style="padding:6px 0;text-align:right;">${escapeHtml(order.reference)}</td></tr>
+      <tr><td style="padding:6px 0;color:#888;">Amount</td><td style="padding:6px 0;text-align:right;">${escapeHtml(amount)}</td></tr>
+      ${order.discount ? `<tr><td style="padding:6px 0;color:#888;">Discount</td><td style="padding:6px 0;text-align:right;">-${escapeHtml(formatAmount(order.discount, order.currency))} (${escapeHtml(order.coupon?.code)})</td></tr>` : ''}
+      <tr><td style="padding:6px 0;color:#888;">Date</td><td style="padding:6px 0;text-align:right;">${escapeHtml(paidAt)}</td></tr>
+    </table>
+
+    ${driveLink ? button(driveLink, 'Open Your Guide', '#00b894') : ''}
+    ${communityUrl ? `<br>${button(communityUrl, 'Join WhatsApp Community', '#667eea')}` : ''}
+
+    ${RECEIPT_NOTE ? `<p style="margin:20px 0 0;padding:12px 14px;border-left:3px solid #667eea;background:rgba(102,126,234,0.1);color:#cfcfcf;font-size:14px;">${escapeHtml(RECEIPT_NOTE)}</p>` : ''}
+
+    <p style="margin:24px 0 0;color:#666;font-size:12px;">Keep this email - it is your proof of purchase.</p>
+  </div>
+</body>
+</html>`.trim();
+
+  return { subject, html, text };
+}
+
+/**
+ * Abuse protection for the public POST endpoints
+ * Per-IP budgets stop floods; per-email / per-order budgets stop a single target
+ * being hammered from many IPs. Budgets are per RATE_LIMIT_STORE window.
+ */
+const initIpLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  key: (req) => `init-ip:${req.ip}`,
+  message: 'Too many checkout attempts.'
 });
 
-// API: Verify Transaction
-app.get('/api/tx/verify', async (req, res) => {
-  const { reference } = req.query;
-  if (!reference) return res.status(400).json({ ok: false, error: 'reference is required' });
+const initEmailLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  key: (req) => req.body?.email ? `init-email:${normalizeEmail(req.body.email)}` : null,
+  message: 'Too many checkout attempts for this email.'
+});
 
-  try {
-    const { data } = await paystack.get(`/transaction/verify/${reference}`);
-    const status = data?.data?.status;
-    const paid = status === 'success';
-    const amount = data?.data?.amount;
+const phoneIpLimit = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  key: (req) => `phone-ip:${req.ip}`
+});
 
-    const order = await Order.findOne({ reference });
-    if (!order) {
-      console.error(`❌ Order not found: ${reference}`);
-      return res.status(404).json({ ok: false, error: 'Order not found' });
-    }
+const phoneOrderLimit = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  key: (req) => req.body?.reference ? `phone-ref:${req.body.reference}` : null
+});
 
-    if (paid && amount !== order.amount) {
-      console.error(`❌ Amount mismatch for ${reference}: expected ${order.amount}, got ${amount}`);
-      return res.status(400).json({ ok: false, error: 'Amount mismatch' });
-    }
+const identifyLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 30,
+  key: (req) => `identify-ip:${req.ip}`
+});
 
-    if (paid) {
-      order.status = 'success';
-      order.verifiedAt = new Date();
-      
-      const token = uuidv4();
-      order.successToken = token;
-      order.tokenExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
-      await order.save();
+const visitorLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 30,
+  key: (req) => `visitor-ip:${req.ip}`
+});
 
-      console.log(`✓ Payment verified: ${reference}`);
+const eventsLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  key: (req) => `events-ip:${req.ip}`
+});
 
-      return res.json({
-        ok: true,
-        verified: true,
-        token,
-        redirect: `/paycomplete.html?ref=${encodeURIComponent(reference)}&token=${encodeURIComponent(token)}`
-      });
-    } else {
-      order.status = 'failed';
-      await order.save();
-      console.log(`⚠️ Payment failed: ${reference} - Status: ${status}`);
-      return res.json({ ok: false, verified: false, status });
-    }
-  } catch (e) {
-    console.error('❌ verify error:', e.response?.data || e.message);
-    res.status(500).json({ ok: false, error: 'Verification failed' });
-  }
+// Low budget: each call tells the caller whether a guessed code exists
+const couponLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 15,
+  key: (req) => `coupon-ip:${req.ip}`,
+  message: 'Too many coupon attempts.'
 });
 
-// Webhook: Paystack charge.success
-app.post('/webhooks/paystack', async (req, res) => {
-  const signature = req.headers['x-paystack-signature'];
-  const secret = PAYSTACK_WEBHOOK_SECRET || PAYSTACK_SECRET_KEY;
-  const computed = crypto.createHmac('sha512', secret).update(req.rawBody || '').digest('hex');
+/**
+ * Lead form bot checks
+ * The honeypot field is hidden from people, so anything in it came from a bot.
+ * With POW_DIFFICULTY > 0 the browser must also solve a signed hash puzzle from
+ * /api/pow: sha256(`${challenge}:${nonce}`) needs POW_DIFFICULTY leading zero bits.
+ */
+const POW_TTL_MS = 10 * 60 * 1000;
+const POW_SIGNING_KEY = crypto.createHash('sha256')
+  .update(`pow:${DOWNLOAD_SECRET || PAYSTACK_SECRET_KEY || config.FLW_SECRET_KEY || ''}`)
+  .digest('hex');
+const powReplayStore = createCounterStore(POW_TTL_MS);
 
-  if (signature !== computed) {
-    console.error('❌ Invalid webhook signature');
-    return res.status(401).send('Invalid signature');
-  }
+function issuePowChallenge() {
+  const body = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+  const sig = crypto.createHmac('sha256', POW_SIGNING_KEY).update(body).digest('hex').slice(0, 32);
+  return `${body}.${sig}`;
+}
 
-  const event = req.body?.event;
-  if (event === 'charge.success') {
-    const ref = req.body?.data?.reference;
-    const amount = req.body?.data?.amount;
-    
-    if (ref) {
-      const order = await Order.findOne({ reference: ref });
-      if (order) {
-        if (amount !== order.amount) {
-          console.error(`❌ Webhook amount mismatch for ${ref}`);
-        } else if (order.status !== 'success') {
-          order.status = 'success';
-          order.verifiedAt = new Date();
-          await order.save();
-          console.log(`✓ Webhook confirmed payment: ${ref}`);
-        }
-      }
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
     }
+    bits += Math.clz32(byte) - 24;
+    break;
   }
+  return bits;
+}
 
-  res.sendStatus(200);
-});
+async function verifyPow(pow) {
+  const { challenge, nonce } = pow || {};
+  if (typeof challenge !== 'string' || nonce == null) return false;
 
-// Build CAPI Payload (Email Only with proper SHA256 hashing per Meta docs)
-function buildCapiPayload(order) {
-  const eventId = order.reference;
-  const eventTime = Math.floor((order.verifiedAt || Date.now()) / 1000);
-  const sourceUrl = `${SITE_URL}/paycomplete.html?ref=${encodeURIComponent(order.reference)}`;
+  const [issuedAt, rand, sig] = challenge.split('.');
+  const expected = crypto.createHmac('sha256', POW_SIGNING_KEY).update(`${issuedAt}.${rand}`).digest('hex').slice(0, 32);
+  if (!safeEqual(sig, expected) || Date.now() - Number(issuedAt) > POW_TTL_MS) return false;
 
-  // Build user_data with proper hashing per Meta CAPI requirements
-  const user_data = {
-    em: order.email ? [sha256(normalizeEmail(order.email))] : undefined,
-    external_id: order.email ? [sha256(normalizeEmail(order.email))] : undefined,
-    client_ip_address: order.ip || undefined,
-    client_user_agent: order.userAgent || undefined,
-    fbc: order.fbc || undefined,
-    fbp: order.fbp || undefined,
-    country: order.country ? [sha256(order.country.toLowerCase())] : undefined
-  };
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  if (leadingZeroBits(hash) < POW_DIFFICULTY) return false;
 
-  // Add phone if available (will be added after WhatsApp modal submission)
-  if (order.phone) {
-    user_data.ph = [sha256(formatPhoneForCAPI(order.phone))];
+  // Each solved challenge is good for one checkout
+  const { count } = await powReplayStore.hit(`pow:${challenge}`);
+  return count === 1;
+}
+
+async function checkLeadForm(req, res, next) {
+  if (req.body?.website) {
+    console.warn(`🤖 Honeypot filled on checkout from ${req.ip}`);
+    return res.status(400).json({ ok: false, error: 'Could not initialize payment', code: 'BOT_SUSPECTED' });
   }
 
-  // Remove undefined fields
-  Object.keys(user_data).forEach(key => {
-    if (user_data[key] === undefined || user_data[key] === null) {
-      delete user_data[key];
+  if (POW_DIFFICULTY > 0) {
+    try {
+      if (!(await verifyPow(req.body?.pow))) {
+        return res.status(400).json({ ok: false, error: 'Security check failed. Please refresh the page and try again.', code: 'POW_FAILED' });
+      }
+    } catch (e) {
+      // Replay store outage - the puzzle itself was still checked
+      console.error('❌ PoW check error:', e.message);
     }
+  }
+  next();
+}
+
+// API: Proof-of-work challenge for the lead form (difficulty 0 = disabled)
+app.get('/api/pow', (req, res) => {
+  res.json({
+    ok: true,
+    difficulty: POW_DIFFICULTY,
+    challenge: POW_DIFFICULTY > 0 ? issuePowChallenge() : null
   });
+});
 
-  // Validate we have minimum required fields
-  if (!user_data.em && !user_data.ph) {
-    throw new Error('CAPI requires at least email or phone');
+// API: Config
+app.get('/api/config', async (req, res) => {
+  try {
+    const products = await Product.find({ active: true }).sort({ sortOrder: 1, createdAt: 1 });
+    const selected = products.find((p) => p.productId === (req.query.product || PRODUCT_ID)) || products[0];
+
+    const { names } = await checkoutProviders();
+    const payment = names.length ? providers[names[0]].clientConfig() : null;
+
+    const priced = await pricedProducts(products);
+
+    // serverTime lets the page correct for a wrong device clock when counting down to tier.endsAt
+    res.json({
+      publicKey: payment?.publicKey || PAYSTACK_PUBLIC_KEY,
+      payment,
+      product: selected ? priced[products.indexOf(selected)] : null,
+      products: priced,
+      siteUrl: SITE_URL,
+      serverTime: new Date()
+    });
+  } catch (e) {
+    console.error('❌ config error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
   }
+});
 
-  const eventData = {
-    event_name: 'Purchase',
-    event_time: eventTime,
-    event_source_url: sourceUrl,
-    action_source: 'website',
-    event_id: eventId,
-    user_data,
-    custom_data: {
-      currency: order.currency || 'NGN',
-      value: Number(order.amount) / 100,
-      content_name: PRODUCT_NAME,
-      content_ids: [PRODUCT_ID],
-      content_type: 'product',
-      contents: [
-        { 
-          id: PRODUCT_ID, 
-          quantity: 1, 
-          item_price: Number(order.amount) / 100 
-        }
-      ]
-    }
-  };
+// API: Product catalog
+app.get('/api/products', async (req, res) => {
+  try {
+    const products = await Product.find({ active: true }).sort({ sortOrder: 1, createdAt: 1 });
+    res.json({ ok: true, products: await pricedProducts(products) });
+  } catch (e) {
+    console.error('❌ products error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
 
-  const payload = { data: [eventData] };
+// API: Capture visitor
+app.post('/api/visitor', visitorLimit, async (req, res) => {
+  // req.ip honours TRUST_PROXY_HOPS; never a client-set header or cookie
+  const ip = req.ip;
+  const userAgent = req.headers['user-agent'] || '';
+  const visitorId = getVisitorId(req, res);
   
-  if (FB_TEST_EVENT_CODE) {
-    payload.test_event_code = FB_TEST_EVENT_CODE;
-  }
+  setCookie(res, '_vua', userAgent, 30);
 
-  return payload;
-}
+  VisitorHit.create({ visitorKey: visitorId })
+    .catch((e) => console.error('❌ Visitor hit log failed:', e.message));
 
-// API: Confirm Order & Send CAPI + Telegram
-app.get('/api/order/confirm', async (req, res) => {
-  const { ref, token } = req.query || {};
-  if (!ref || !token) {
-    return res.status(400).json({ ok: false, error: 'ref and token required' });
+  try {
+    await recordVisit(visitorId, req.body || {}, { ip, userAgent });
+  } catch (e) {
+    console.error('❌ Visit record failed:', e.message);
   }
 
-  const order = await Order.findOne({ reference: ref });
-  if (!order) {
-    return res.status(404).json({ ok: false, error: 'Order not found' });
+  // pageId scopes PageView/ViewContent ids to one page load
+  const pageId = clip(req.body?.pageId, 64) || uuidv4();
+  let eventIds = null;
+  try {
+    eventIds = await trackLandingEvents(req, visitorId, { pageId, landingUrl: clip(req.body?.landingUrl) });
+  } catch (e) {
+    console.error('❌ CAPI landing events failed:', e.message);
   }
   
-  if (order.successToken !== token) {
-    return res.status(403).json({ ok: false, error: 'Invalid token' });
+  res.json({ ok: true, ip, userAgent, visitorId, eventIds });
+});
+
+// First-party visitor id (_vid cookie), minted on first sight
+function getVisitorId(req, res) {
+  const existing = req.cookies._vid;
+  if (existing && /^[0-9a-f-]{36}$/i.test(existing)) return existing;
+
+  const visitorId = uuidv4();
+  setCookie(res, '_vid', visitorId, 365);
+  req.cookies._vid = visitorId;
+  return visitorId;
+}
+
+const UTM_KEYS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+function clip(value, max = 1000) {
+  return typeof value === 'string' && value ? value.slice(0, max) : undefined;
+}
+
+/**
+ * Multi-touch attribution
+ * app.js writes the first touch (_ft, never overwritten) and the latest touch that
+ * carried campaign data (_lt) as JSON cookies; checkout copies both onto the Order.
+ */
+const TOUCH_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'ttclid', 'fbclid', 'referrer', 'landingPath'];
+
+function touchChannel(touch) {
+  if (touch.gclid) return 'google_ads';
+  if (touch.ttclid) return 'tiktok_ads';
+  if (touch.fbclid) return 'meta_ads';
+  if (touch.utm_source) return touch.utm_source.toLowerCase();
+  if (touch.referrer) {
+    try {
+      return `referral:${new URL(touch.referrer).hostname.replace(/^www\./, '')}`;
+    } catch (e) {
+      return 'referral';
+    }
   }
-  
-  if (order.tokenExpiresAt && new Date() > order.tokenExpiresAt) {
-    return res.status(403).json({ ok: false, error: 'Token expired' });
+  return 'direct';
+}
+
+// Parse and whitelist a touch cookie; anything malformed is treated as missing
+function parseTouchCookie(raw) {
+  if (!raw) return undefined;
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    return undefined;
   }
-  
-  if (order.status !== 'success') {
-    return res.status(409).json({ ok: false, error: 'Payment not confirmed yet' });
+  if (!data || typeof data !== 'object') return undefined;
+
+  const touch = {};
+  TOUCH_FIELDS.forEach((k) => {
+    const value = clip(data[k], k === 'referrer' ? 500 : 200);
+    if (value) touch[k] = value;
+  });
+  const at = new Date(data.at);
+  touch.at = isNaN(at) ? new Date() : at;
+  touch.channel = touchChannel(touch);
+  return touch;
+}
+
+function requestAttribution(req) {
+  const firstTouch = parseTouchCookie(req.cookies._ft);
+  const lastTouch = parseTouchCookie(req.cookies._lt) || firstTouch;
+  return firstTouch || lastTouch ? { firstTouch, lastTouch } : undefined;
+}
+
+/**
+ * Upsert the visitor's session
+ * Landing data (URL, UTMs, referrer, fbclid) is kept from the first visit only
+ */
+async function recordVisit(visitorId, body, { ip, userAgent }) {
+  let landing = {};
+  try {
+    landing = body.landingUrl ? new URL(body.landingUrl) : {};
+  } catch (e) {
+    landing = {};
   }
+  const params = landing.searchParams || new URLSearchParams();
 
-  // Send CAPI event (one-time)
-  let capiSent = order.capi.sent;
-  let capiError = order.capi.error;
-  
-  if (!order.capi.sent) {
-    try {
-      const payload = buildCapiPayload(order);
-      
-      console.log(`📤 Sending CAPI event for ${ref}...`);
-      
-      const { data } = await axios.post(graphUrl, payload, {
-        params: { access_token: FB_ACCESS_TOKEN },
-        timeout: 30000,
-        headers: { 'Content-Type': 'application/json' }
-      });
+  const utm = {};
+  UTM_KEYS.forEach((k) => {
+    const value = clip(params.get(`utm_${k}`), 200);
+    if (value) utm[k] = value;
+  });
 
-      console.log(`✅ CAPI response for ${ref}:`, JSON.stringify(data, null, 2));
+  const now = new Date();
+  await Visit.updateOne(
+    { visitorId },
+    {
+      $setOnInsert: {
+        visitorId,
+        landingUrl: clip(body.landingUrl),
+        referrer: clip(body.referrer),
+        utm,
+        fbclid: clip(params.get('fbclid'), 500),
+        firstSeenAt: now
+      },
+      $set: { ip, userAgent: clip(userAgent, 500), lastSeenAt: now },
+      $inc: { visits: 1 }
+    },
+    { upsert: true }
+  );
+}
 
-      if (data.events_received === 0 || (data.messages && data.messages.length > 0)) {
-        throw new Error(`CAPI rejected event: ${JSON.stringify(data.messages || data)}`);
-      }
+const FUNNEL_EVENTS = ['cta_click', 'lead_modal_open', 'payment_init', 'paystack_close'];
 
-      order.capi = {
-        sent: true,
-        lastTriedAt: new Date(),
-        tries: (order.capi?.tries || 0) + 1,
-        response: data,
-        error: null
-      };
-      await order.save();
-      capiSent = true;
-      capiError = null;
-      console.log(`✅ CAPI event sent successfully for ${ref}`);
-    } catch (err) {
-      const errorMsg = err.response?.data?.error?.message || err.message || 'Unknown error';
-      console.error(`❌ CAPI send failed for ${ref}:`, errorMsg);
-      
-      order.capi = {
-        sent: false,
-        lastTriedAt: new Date(),
-        tries: (order.capi?.tries || 0) + 1,
-        response: err.response?.data,
-        error: errorMsg
-      };
-      await order.save();
-      capiError = errorMsg;
+// API: Client funnel events
+app.post('/api/events', eventsLimit, async (req, res) => {
+  const { name, reference, meta } = req.body || {};
+  if (!FUNNEL_EVENTS.includes(name)) {
+    return res.status(400).json({ ok: false, error: 'Unknown event' });
+  }
+
+  const visitorId = getVisitorId(req, res);
+  // Small free-form context only; oversized payloads are dropped, not truncated
+  const safeMeta = meta && typeof meta === 'object' && JSON.stringify(meta).length <= 2000 ? meta : undefined;
+
+  try {
+    await FunnelEvent.create({ visitorId, name, reference: clip(reference, 100), meta: safeMeta });
+
+    if (name === 'payment_init' && reference) {
+      const order = await Order.findOne({ reference, visitorId, status: 'initialized' });
+      if (order) {
+        trackPaymentInfoEvent(order).catch((e) => console.error('❌ CAPI AddPaymentInfo failed:', e.message));
+      }
     }
+    await Visit.updateOne({ visitorId }, { $set: { lastSeenAt: new Date() } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('❌ events error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
   }
+});
 
-  // Send order Telegram notification (one-time)
-  if (TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID && !order.telegram?.orderSent) {
-    const telegramResult = await sendOrderTelegram(order, { capiSent, capiError });
-    order.telegram = {
-      ...order.telegram,
-      orderSent: telegramResult.sent,
-      lastTriedAt: new Date(),
-      response: telegramResult
-    };
-    await order.save();
-    if (telegramResult.sent) {
-      console.log(`✅ Order Telegram notification sent for ${ref}`);
+// API: Identify
+app.post('/api/identify', identifyLimit, async (req, res) => {
+  const now = Math.floor(Date.now() / 1000);
+  const { fbclid, fbc, fbp, aff } = req.body || {};
+
+  const _fbc = fbc || (fbclid ? `fb.1.${now}.${fbclid}` : (req.cookies._fbc || null));
+  const _fbp = fbp || req.cookies._fbp || `fb.1.${now}.${Math.floor(Math.random() * 1e10)}`;
+
+  if (_fbc) setCookie(res, '_fbc', _fbc, 90);
+  if (_fbp) setCookie(res, '_fbp', _fbp, 90);
+  if (fbclid) setCookie(res, 'fbclid', fbclid, 7);
+
+  // Last click wins; a click only counts when the referral cookie changes
+  let affiliate = req.cookies._aff || null;
+  if (aff) {
+    try {
+      const found = await findAffiliate(aff);
+      if (found && found.code !== req.cookies._aff) {
+        setCookie(res, '_aff', found.code, AFFILIATE_COOKIE_DAYS);
+        await Affiliate.updateOne({ _id: found._id }, { $inc: { clicks: 1 }, $set: { lastClickAt: new Date() } });
+      }
+      if (found) affiliate = found.code;
+    } catch (e) {
+      console.error('❌ Affiliate click error:', e.message);
     }
   }
 
-  res.json({
-    ok: true,
-    drive: DRIVE_LINK,
-    whatsapp: WHATSAPP_GROUP_URL,
-    product: { id: PRODUCT_ID, name: PRODUCT_NAME },
-    order: { 
-      reference: order.reference, 
-      email: order.email,
-      amount: order.amount, 
-      currency: order.currency 
-    },
-    capiSent: order.capi.sent === true,
-    capiError: order.capi.error,
-    telegramSent: order.telegram?.orderSent === true
-  });
+  res.json({ ok: true, _fbc, _fbp, fbclid: fbclid || req.cookies.fbclid || null, affiliate });
 });
 
-// API: Submit WhatsApp Phone Number
-app.post('/api/submit-phone', async (req, res) => {
+// API: Validate coupon and preview discounted price
+app.post('/api/coupons/validate', couponLimit, async (req, res) => {
   try {
-    const { reference, phone } = req.body;
-    
-    if (!reference || !phone) {
-      return res.status(400).json({ ok: false, error: 'Reference and phone required' });
-    }
-    
-    if (phone.trim().length < 5) {
-      return res.status(400).json({ ok: false, error: 'Valid phone number required' });
-    }
-    
-    const order = await Order.findOne({ reference });
-    if (!order) {
-      return res.status(404).json({ ok: false, error: 'Order not found' });
-    }
-    
-    if (order.status !== 'success') {
-      return res.status(400).json({ ok: false, error: 'Order not completed' });
+    const { code, email, productId } = req.body || {};
+
+    const product = await findProduct(productId);
+    if (!product) {
+      return res.status(404).json({ ok: false, error: 'Product not found' });
     }
-    
-    // Update phone number
-    order.phone = phone.trim();
-    await order.save();
-    
-    console.log(`📱 Phone number collected for ${reference}: ${phone}`);
-    
-    // Send phone Telegram notification
-    if (TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID && !order.telegram?.phoneSent) {
-      const phoneResult = await sendPhoneTelegram(order);
-      order.telegram = {
-        ...order.telegram,
-        phoneSent: phoneResult.sent,
-        lastTriedAt: new Date()
-      };
-      await order.save();
-      
-      if (phoneResult.sent) {
-        console.log(`✅ Phone Telegram notification sent for ${reference}`);
-      }
+
+    const price = await currentPricing(product, { email });
+    const result = await applyCoupon({ code, email, product, baseAmount: price.amountKobo });
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.error });
     }
-    
-    res.json({ 
-      ok: true, 
-      message: 'Phone number received',
-      telegramSent: order.telegram?.phoneSent === true
+
+    res.json({
+      ok: true,
+      code: result.coupon.code,
+      type: result.coupon.type,
+      value: result.coupon.value,
+      originalAmount: result.originalAmount,
+      discount: result.discount,
+      finalAmount: result.finalAmount,
+      currency: product.currency
     });
-    
   } catch (e) {
-    console.error('❌ submit-phone error:', e.message);
+    console.error('❌ coupon validate error:', e.message);
     res.status(500).json({ ok: false, error: 'Server error' });
   }
 });
 
-// CAPI Retry Worker - runs every minute
-setInterval(async () => {
-  try {
-    const unsent = await Order.find({
-      status: 'success',
-      'capi.sent': { $ne: true },
-      'capi.tries': { $lt: 5 }
-    }).limit(10);
+/**
+ * Payment provider selection
+ * Settings (primary / fallback / autoFailover) live in Mongo so admins can switch
+ * without a deploy. A provider that keeps failing is skipped for a cooldown period.
+ */
+const PROVIDER_FAILURE_WINDOW_MS = 5 * 60 * 1000;
+const providerHealth = {};
 
-    if (unsent.length > 0) {
-      console.log(`🔄 CAPI Retry worker: Found ${unsent.length} unsent events`);
-    }
+const defaultPaymentSettings = () => ({
+  primary: PAYMENT_PROVIDER || 'paystack',
+  fallback: PAYMENT_FALLBACK_PROVIDER || null,
+  autoFailover: true,
+  failureThreshold: 3,
+  cooldownMinutes: 10
+});
 
-    for (const order of unsent) {
-      try {
-        const payload = buildCapiPayload(order);
-        
-        console.log(`🔄 Retrying CAPI for ${order.reference} (attempt ${(order.capi?.tries || 0) + 1})...`);
-        
-        const { data } = await axios.post(graphUrl, payload, {
-          params: { access_token: FB_ACCESS_TOKEN },
-          timeout: 30000,
-          headers: { 'Content-Type': 'application/json' }
-        });
+let paymentSettingsCache = null;
+async function getPaymentSettings() {
+  if (paymentSettingsCache && paymentSettingsCache.loadedAt > Date.now() - 30 * 1000) {
+    return paymentSettingsCache.value;
+  }
+  const stored = await Setting.findOne({ key: 'payments' });
+  const value = { ...defaultPaymentSettings(), ...(stored?.value || {}) };
+  paymentSettingsCache = { value, loadedAt: Date.now() };
+  return value;
+}
 
-        if (data.events_received === 0 || (data.messages && data.messages.length > 0)) {
-          throw new Error(`CAPI rejected event: ${JSON.stringify(data.messages || data)}`);
-        }
-        
-        order.capi = { 
-          sent: true, 
-          lastTriedAt: new Date(), 
-          tries: (order.capi?.tries || 0) + 1, 
-          response: data,
-          error: null
-        };
-        await order.save();
-        console.log(`✅ CAPI retry success for ${order.reference}`);
-      } catch (err) {
-        const errorMsg = err.response?.data?.error?.message || err.message || 'Unknown error';
-        console.error(`❌ CAPI retry failed for ${order.reference}: ${errorMsg}`);
-        
-        order.capi = {
-          sent: false,
-          lastTriedAt: new Date(),
-          tries: (order.capi?.tries || 0) + 1,
-          response: err.response?.data,
-          error: errorMsg
-        };
+function getProvider(name) {
+  const provider = providers[name || 'paystack'];
+  if (!provider) throw new Error(`Payment provider not configured: ${name}`);
+  return provider;
+}
+
+function providerTripped(name) {
+  return (providerHealth[name]?.trippedUntil || 0) > Date.now();
+}
+
+function recordProviderFailure(name, settings, err) {
+  const health = providerHealth[name] = providerHealth[name] || { failures: [] };
+  const now = Date.now();
+  health.failures = health.failures.filter((t) => t > now - PROVIDER_FAILURE_WINDOW_MS).concat(now);
+  health.lastError = err.message;
+  if (health.failures.length >= settings.failureThreshold) {
+    health.trippedUntil = now + settings.cooldownMinutes * 60 * 1000;
+    console.error(`⚠️ Payment provider ${name} tripped until ${new Date(health.trippedUntil).toISOString()}`);
+  }
+}
+
+function recordProviderSuccess(name) {
+  providerHealth[name] = { failures: [] };
+}
+
+// Providers to try for a new checkout, in order
+async function checkoutProviders() {
+  const settings = await getPaymentSettings();
+  const order = [settings.primary];
+  if (settings.autoFailover && settings.fallback && settings.fallback !== settings.primary) {
+    order.push(settings.fallback);
+  }
+
+  const available = order.filter((name) => providers[name]);
+  const healthy = available.filter((name) => !providerTripped(name));
+  return { settings, names: healthy.length ? healthy : available };
+}
+
+/**
+ * Initialize a payment with the active provider, falling back when it errors
+ * Returns { provider, init }
+ */
+async function initializePayment(params) {
+  const { settings, names } = await checkoutProviders();
+  if (!names.length) throw new Error('No payment provider configured');
+
+  let lastError;
+  for (const name of names) {
+    try {
+      const init = await providers[name].initialize(params);
+      recordProviderSuccess(name);
+      return { provider: providers[name], init };
+    } catch (err) {
+      lastError = err;
+      recordProviderFailure(name, settings, err);
+      console.error(`❌ ${name} init failed for ${params.reference}:`, err.details || err.response?.data || err.message);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Compare a provider transaction with the order
+ * order.amount is the post-coupon amount, so discounted orders verify correctly
+ */
+function amountMismatch(order, tx) {
+  if (tx?.amount !== order.amount) {
+    return { type: 'amount_mismatch', expected: order.amount, actual: tx?.amount };
+  }
+  if (tx?.currency && order.currency && tx.currency !== order.currency) {
+    return { type: 'currency_mismatch', expected: order.currency, actual: tx.currency };
+  }
+  return null;
+}
+
+// API: Initialize Transaction (EMAIL ONLY)
+app.post('/api/tx/init', initIpLimit, initEmailLimit, checkLeadForm, async (req, res) => {
+  try {
+    const { email, productId, couponCode } = req.body;
+    
+    // Validation - only email required
+    if (!email || !email.trim()) {
+      return res.status(400).json({ ok: false, error: 'Email is required' });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ ok: false, error: 'Valid email is required' });
+    }
+
+    const product = await findProduct(productId);
+    if (!product) {
+      return res.status(404).json({ ok: false, error: 'Product not found' });
+    }
+
+    // Charge the active price tier; coupons come off that
+    const price = await currentPricing(product, { email });
+    let pricing = { originalAmount: price.amountKobo, discount: 0, finalAmount: price.amountKobo };
+    if (couponCode) {
+      pricing = await applyCoupon({ code: couponCode, email, product, baseAmount: price.amountKobo });
+      if (!pricing.ok) {
+        return res.status(400).json({ ok: false, error: pricing.error });
+      }
+    }
+
+    const ip = req.ip;
+    const userAgent = req.cookies._vua || req.headers['user-agent'] || '';
+    const _fbc = req.cookies._fbc || null;
+    const _fbp = req.cookies._fbp || null;
+    const fbclid = req.cookies.fbclid || null;
+    const visitorId = getVisitorId(req, res);
+    const affiliate = await referringAffiliate(req.cookies._aff, email);
+    const attribution = requestAttribution(req);
+
+    const reference = `GV3-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+
+    const initPayload = {
+      email,
+      amount: pricing.finalAmount,
+      currency: product.currency,
+      reference,
+      metadata: {
+        custom_fields: [
+          { display_name: 'Product', variable_name: 'product', value: product.name }
+        ],
+        productId: product.productId,
+        priceTier: orderPricingTier(price).tierId,
+        couponCode: pricing.coupon?.code,
+        originalAmount: pricing.originalAmount,
+        discount: pricing.discount,
+        affiliateCode: affiliate?.code,
+        fbclid, 
+        _fbc, 
+        _fbp, 
+        ip
+      }
+    };
+
+    let payment;
+    try {
+      payment = await initializePayment(initPayload);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: 'Payment initialization failed' });
+    }
+    const { provider, init } = payment;
+
+    const order = await Order.create({
+      reference,
+      email: normalizeEmail(email),
+      productId: product.productId,
+      productName: product.name,
+      originalAmount: pricing.originalAmount,
+      discount: pricing.discount,
+      amount: pricing.finalAmount,
+      currency: product.currency,
+      pricingTier: orderPricingTier(price),
+      coupon: pricing.coupon
+        ? { code: pricing.coupon.code, type: pricing.coupon.type, value: pricing.coupon.value }
+        : undefined,
+      ip,
+      userAgent,
+      fbclid, 
+      fbc: _fbc, 
+      fbp: _fbp,
+      visitorId,
+      affiliateCode: affiliate?.code,
+      attribution,
+      provider: provider.name,
+      status: 'initialized'
+    });
+
+    Visit.updateOne({ visitorId }, { $addToSet: { orderReferences: reference }, $set: { lastSeenAt: new Date() } })
+      .catch((e) => console.error('❌ Visit link failed:', e.message));
+
+    console.log(`✓ Payment initialized: ${reference} via ${provider.name}${pricing.coupon ? ` (coupon ${pricing.coupon.code})` : ''}`);
+
+    let eventIds = null;
+    try {
+      eventIds = await trackCheckoutEvents(order, product);
+    } catch (e) {
+      console.error('❌ CAPI checkout events failed:', e.message);
+    }
+
+    res.json({
+      ok: true,
+      reference,
+      amount: pricing.finalAmount,
+      currency: product.currency,
+      pricingTier: order.pricingTier.tierId,
+      ...provider.clientConfig(),
+      access_code: init.accessCode,
+      authorizationUrl: init.authorizationUrl,
+      eventIds
+    });
+  } catch (e) {
+    console.error('❌ tx/init error:', e.response?.data || e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// API: Verify Transaction
+app.get('/api/tx/verify', async (req, res) => {
+  const { reference } = req.query;
+  if (!reference) return res.status(400).json({ ok: false, error: 'reference is required' });
+
+  try {
+    const order = await Order.findOne({ reference });
+    if (!order) {
+      console.error(`❌ Order not found: ${reference}`);
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+
+    // Refunds and disputes only move through webhooks and the admin API; verify just reports them
+    if (!['initialized', 'failed', 'success'].includes(order.status)) {
+      return res.json({ ok: false, verified: false, status: order.status });
+    }
+
+    const tx = await getProvider(order.provider).verify(reference);
+    const status = tx.status;
+    const paid = status === 'success';
+
+    const mismatch = paid && amountMismatch(order, tx);
+    if (mismatch) {
+      console.error(`❌ ${mismatch.type} for ${reference}: expected ${mismatch.expected}, got ${mismatch.actual}`);
+      return res.status(400).json({ ok: false, error: 'Amount mismatch' });
+    }
+
+    if (paid) {
+      // Already success when the webhook got here first: the buyer still needs a token to redirect
+      const newlyPaid = order.status !== 'success';
+      if (newlyPaid) {
+        transitionOrder(order, 'success', { actor: 'verify' });
+        order.verifiedAt = new Date();
+      }
+      if (tx.transactionId) order.providerTransactionId = tx.transactionId;
+
+      const token = issueSuccessToken(order);
+      await order.save();
+      if (newlyPaid) await onOrderPaid(order);
+
+      console.log(`✓ Payment verified: ${reference}`);
+
+      return res.json({
+        ok: true,
+        verified: true,
+        token,
+        redirect: `/paycomplete.html?ref=${encodeURIComponent(reference)}&token=${encodeURIComponent(token)}`
+      });
+    } else {
+      if (order.status === 'initialized') {
+        transitionOrder(order, 'failed', { actor: 'verify', note: status });
         await order.save();
       }
+      console.log(`⚠️ Payment failed: ${reference} - Status: ${status}`);
+      return res.json({ ok: false, verified: false, status });
+    }
+  } catch (e) {
+    if (e.code === 'ILLEGAL_TRANSITION') {
+      return res.status(409).json({ ok: false, error: 'Order can no longer be verified' });
+    }
+    console.error('❌ verify error:', e.response?.data || e.message);
+    res.status(500).json({ ok: false, error: 'Verification failed' });
+  }
+});
+
+/**
+ * Webhooks: one route per provider - persist first, process asynchronously
+ * The raw payload is stored and normalized again when processed
+ */
+function providerWebhook(name) {
+  return async (req, res) => {
+    const provider = providers[name];
+    if (!provider) return res.status(404).send('Provider not configured');
+
+    if (!provider.verifyWebhook(req)) {
+      console.error(`❌ Invalid ${name} webhook signature`);
+      return res.status(401).send('Invalid signature');
+    }
+
+    const { event, data } = provider.normalizeWebhook(req.body);
+    const eventId = provider.webhookEventId(req.body);
+    if (!event || !eventId) {
+      return res.status(400).send('Malformed event');
+    }
+
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        provider: name,
+        eventId,
+        event,
+        reference: data.reference,
+        payload: req.body
+      });
+    } catch (e) {
+      if (e.code === 11000) {
+        console.log(`↩️ Duplicate webhook ignored: ${eventId}`);
+        return res.sendStatus(200);
+      }
+      // Not persisted - let the provider retry delivery
+      console.error('❌ Webhook persist error:', e.message);
+      return res.sendStatus(500);
+    }
+
+    res.sendStatus(200);
+
+    setImmediate(() => {
+      processWebhookEvents({ _id: webhookEvent._id }).catch((e) => {
+        console.error('❌ Webhook processing error:', e.message);
+      });
+    });
+  };
+}
+
+app.post('/webhooks/paystack', providerWebhook('paystack'));
+app.post('/webhooks/flutterwave', providerWebhook('flutterwave'));
+
+/**
+ * Claim and run due webhook events one at a time
+ * The status flip is atomic, so concurrent workers never handle the same event
+ */
+async function processWebhookEvents(filter = {}, limit = 10) {
+  for (let i = 0; i < limit; i++) {
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+      { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!webhookEvent) return;
+
+    const handler = webhookHandlers[webhookEvent.event];
+
+    try {
+      const result = handler
+        ? await handler(getProvider(webhookEvent.provider).normalizeWebhook(webhookEvent.payload).data)
+        : { status: 'ignored', note: 'No handler for event' };
+
+      webhookEvent.status = result.status;
+      webhookEvent.note = result.note;
+      webhookEvent.lastError = null;
+      webhookEvent.processedAt = new Date();
+      console.log(`✓ Webhook ${webhookEvent.eventId}: ${result.status}${result.note ? ` - ${result.note}` : ''}`);
+    } catch (err) {
+      // An illegal state change won't become legal on retry
+      const exhausted = webhookEvent.attempts >= WEBHOOK_MAX_ATTEMPTS || err.code === 'ILLEGAL_TRANSITION';
+      webhookEvent.status = exhausted ? 'failed' : 'pending';
+      webhookEvent.lastError = err.message;
+      webhookEvent.nextAttemptAt = new Date(Date.now() + webhookRetryDelay(webhookEvent.attempts));
+      console.error(`❌ Webhook ${webhookEvent.eventId} attempt ${webhookEvent.attempts} failed: ${err.message}`);
+    }
+
+    webhookEvent.lockedAt = null;
+    await webhookEvent.save();
+  }
+}
+
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// 30s, 1m, 2m, 4m ... capped at 1h
+function webhookRetryDelay(attempts) {
+  return Math.min(30 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+}
+
+/**
+ * Webhook event handlers, fed normalized provider data (see providers/index.js)
+ * Throw to retry (e.g. order not written yet); return { status, note } to settle the event
+ */
+const webhookHandlers = {
+  'charge.success': async (data) => {
+    const order = await findWebhookOrder(data.reference);
+
+    const mismatch = amountMismatch(order, data);
+    if (mismatch) {
+      console.error(`❌ Webhook ${mismatch.type} for ${order.reference}: expected ${mismatch.expected}, got ${mismatch.actual}`);
+      return { status: 'failed', note: `${mismatch.type}: expected ${mismatch.expected}, got ${mismatch.actual}` };
+    }
+
+    if (order.status !== 'initialized' && order.status !== 'failed') {
+      return { status: 'processed', note: `Order already ${order.status}` };
+    }
+
+    transitionOrder(order, 'success', { actor: 'webhook' });
+    order.verifiedAt = order.verifiedAt || new Date();
+    if (data.transactionId) order.providerTransactionId = data.transactionId;
+    await order.save();
+    await onOrderPaid(order);
+    console.log(`✓ Webhook confirmed payment: ${order.reference}`);
+    return { status: 'processed' };
+  },
+
+  'charge.failed': async (data) => {
+    const order = await findWebhookOrder(data.reference);
+
+    if (order.status !== 'initialized') {
+      return { status: 'processed', note: `Order already ${order.status}` };
+    }
+
+    transitionOrder(order, 'failed', { actor: 'webhook', note: data.note });
+    await order.save();
+    console.log(`⚠️ Webhook marked payment failed: ${order.reference}`);
+    return { status: 'processed' };
+  },
+
+  'refund.processed': async (data) => {
+    const order = await findWebhookOrder(data.reference);
+    const refundAmount = Number(data.amount) || order.refund?.requestedAmount || order.amount;
+    const refundedTotal = (order.refund?.amount || 0) + refundAmount;
+    const next = refundedTotal >= order.amount ? 'refunded' : 'partially_refunded';
+
+    if (order.status === next && order.refund?.providerRefundId === (data.refundId || '')) {
+      return { status: 'processed', note: `Order already ${order.status}` };
+    }
+
+    if (order.status !== next) {
+      transitionOrder(order, next, { actor: 'webhook', note: `Refunded ${refundAmount}` });
+    }
+    order.refund = {
+      ...order.refund,
+      status: 'processed',
+      amount: refundedTotal,
+      providerRefundId: data.refundId || '',
+      error: null,
+      updatedAt: new Date()
+    };
+    await order.save();
+    await syncAffiliateCommission(order);
+    console.log(`💸 Webhook refund processed: ${order.reference} (${refundAmount})`);
+    notifyRefund(order, 'processed');
+    return { status: 'processed' };
+  },
+
+  'refund.failed': async (data) => {
+    const order = await findWebhookOrder(data.reference);
+
+    if (order.status === 'refund_pending') {
+      revertFailedRefund(order, { actor: 'webhook', note: 'Refund failed' });
+    }
+    order.refund = {
+      ...order.refund,
+      status: 'failed',
+      providerRefundId: data.refundId || '',
+      error: data.note || 'Refund failed',
+      updatedAt: new Date()
+    };
+    await order.save();
+    console.error(`❌ Webhook refund failed: ${order.reference}`);
+    notifyRefund(order, 'failed');
+    return { status: 'processed' };
+  },
+
+  'charge.dispute.create': async (data) => {
+    const order = await findWebhookOrder(data.reference);
+
+    order.dispute = data.dispute;
+    if (order.status !== 'disputed') {
+      transitionOrder(order, 'disputed', { actor: 'webhook', note: order.dispute.reason });
+    }
+    await order.save();
+    await syncAffiliateCommission(order);
+    console.error(`⚠️ Webhook dispute opened: ${order.reference}`);
+    return { status: 'processed' };
+  }
+};
+
+async function findWebhookOrder(reference) {
+  if (!reference) throw new Error('Event has no transaction reference');
+  const order = await Order.findOne({ reference });
+  if (!order) throw new Error(`Order not found: ${reference}`);
+  return order;
+}
+
+/**
+ * Build hashed CAPI user_data (same rules for every event)
+ * Email/phone/country/external ids are SHA256-hashed per Meta docs; ip/ua/fbc/fbp are sent raw
+ */
+function buildUserData({ email, phone, ip, userAgent, fbc, fbp, country, visitorId }) {
+  const externalIds = [
+    email ? sha256(normalizeEmail(email)) : null,
+    visitorId ? sha256(visitorId) : null
+  ].filter(Boolean);
+
+  const user_data = {
+    em: email ? [sha256(normalizeEmail(email))] : undefined,
+    external_id: externalIds.length ? externalIds : undefined,
+    client_ip_address: ip || undefined,
+    client_user_agent: userAgent || undefined,
+    fbc: fbc || undefined,
+    fbp: fbp || undefined,
+    country: country ? [sha256(country.toLowerCase())] : undefined
+  };
+
+  // Add phone if available (will be added after WhatsApp modal submission)
+  if (phone) {
+    user_data.ph = [sha256(formatPhoneForCAPI(phone))];
+  }
+
+  // Remove undefined fields
+  Object.keys(user_data).forEach(key => {
+    if (user_data[key] === undefined || user_data[key] === null) {
+      delete user_data[key];
     }
+  });
+
+  return user_data;
+}
+
+function orderUserData(order) {
+  return buildUserData({
+    email: order.email,
+    phone: order.phone,
+    ip: order.ip,
+    userAgent: order.userAgent,
+    fbc: order.fbc,
+    fbp: order.fbp,
+    country: order.country,
+    visitorId: order.visitorId
+  });
+}
+
+// Product custom_data shared by ViewContent / InitiateCheckout / AddPaymentInfo / Purchase
+function productCustomData(product, amountKobo, currency) {
+  const value = Number(amountKobo) / 100;
+  return {
+    currency: currency || 'NGN',
+    value,
+    content_name: product?.name,
+    content_ids: [product?.productId],
+    content_type: 'product',
+    contents: [{ id: product?.productId, quantity: 1, item_price: value }],
+    num_items: 1
+  };
+}
+
+// Product custom_data plus the order's touches, so channels can be compared in Events Manager
+function orderCustomData(order, product) {
+  const customData = productCustomData(product, order.amount, order.currency);
+  const { firstTouch, lastTouch } = order.attribution || {};
+  if (lastTouch) {
+    customData.last_touch_channel = lastTouch.channel;
+    ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content'].forEach((k) => {
+      if (lastTouch[k]) customData[k] = lastTouch[k];
+    });
+  }
+  if (firstTouch) {
+    customData.first_touch_channel = firstTouch.channel;
+    if (firstTouch.utm_campaign) customData.first_touch_campaign = firstTouch.utm_campaign;
+  }
+  return customData;
+}
+
+/**
+ * Build a CAPI payload for any standard event
+ * eventId must be what the browser pixel sends as eventID so Meta can dedup
+ */
+function buildCapiEvent({ eventName, eventId, eventTime, sourceUrl, userData, customData }) {
+  // Web events need an identifier Meta can match on
+  if (!userData.em && !userData.ph && !(userData.client_ip_address && userData.client_user_agent)) {
+    throw new Error(`CAPI ${eventName} requires email, phone or ip + user agent`);
+  }
+
+  const eventData = {
+    event_name: eventName,
+    event_time: Math.floor((eventTime || Date.now()) / 1000),
+    event_source_url: sourceUrl || SITE_URL,
+    action_source: 'website',
+    event_id: eventId,
+    user_data: userData
+  };
+  if (customData) eventData.custom_data = customData;
+
+  const payload = { data: [eventData] };
+  
+  if (FB_TEST_EVENT_CODE) {
+    payload.test_event_code = FB_TEST_EVENT_CODE;
+  }
+
+  return payload;
+}
+
+// Build CAPI Purchase Payload (Email Only with proper SHA256 hashing per Meta docs)
+function buildCapiPayload(order, product) {
+  const userData = orderUserData(order);
+
+  // Validate we have minimum required fields
+  if (!userData.em && !userData.ph) {
+    throw new Error('CAPI requires at least email or phone');
+  }
+
+  const contentProduct = {
+    productId: product?.productId || order.productId || PRODUCT_ID,
+    name: product?.name || order.productName || PRODUCT_NAME
+  };
+
+  const customData = orderCustomData(order, contentProduct);
+  customData.order_id = order.reference;
+  if (order.parentReference) customData.parent_order_id = order.parentReference;
+
+  return buildCapiEvent({
+    eventName: 'Purchase',
+    eventId: order.reference,
+    eventTime: order.verifiedAt,
+    sourceUrl: `${SITE_URL}/paycomplete.html?ref=${encodeURIComponent(order.reference)}`,
+    userData,
+    customData
+  });
+}
+
+// POST to the Graph API; throws when Meta rejects the event
+async function postCapi(payload) {
+  const { data } = await axios.post(graphUrl, payload, {
+    params: { access_token: FB_ACCESS_TOKEN },
+    timeout: 30000,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  if (data.events_received === 0 || (data.messages && data.messages.length > 0)) {
+    throw new Error(`CAPI rejected event: ${JSON.stringify(data.messages || data)}`);
+  }
+  return data;
+}
+
+const capiEnabled = () => config.integrations.capi;
+
+// Deterministic funnel event ids - the same id goes to the browser pixel
+const capiEventIds = {
+  pageView: (visitorId, pageId) => `pv.${visitorId}.${pageId}`,
+  viewContent: (visitorId, pageId) => `vc.${visitorId}.${pageId}`,
+  lead: (reference) => `lead.${reference}`,
+  initiateCheckout: (reference) => `ic.${reference}`,
+  addPaymentInfo: (reference) => `api.${reference}`,
+  phoneUpdate: (reference, change) => `ph.${reference}.${change}`
+};
+
+/**
+ * Store a non-Purchase CAPI event and queue its delivery
+ * Unique event_id makes this idempotent
+ */
+async function queueCapiEvent({ eventName, eventId, reference, visitorId, payload }) {
+  if (!capiEnabled()) return null;
+
+  let capiEvent;
+  try {
+    capiEvent = await CapiEvent.create({ eventName, eventId, reference, visitorId, payload });
+  } catch (e) {
+    if (e.code === 11000) return null; // Already queued
+    throw e;
+  }
+
+  await enqueueJob('capi.event', { eventId }, { dedupeKey: `capi.event:${eventId}`, maxAttempts: 5 });
+  return capiEvent;
+}
+
+async function sendCapiEvent(capiEvent) {
+  try {
+    const data = await postCapi(capiEvent.payload);
+    capiEvent.sent = true;
+    capiEvent.response = data;
+    capiEvent.error = null;
+    console.log(`✅ CAPI ${capiEvent.eventName} sent (${capiEvent.eventId})`);
+  } catch (err) {
+    const errorMsg = err.response?.data?.error?.message || err.message || 'Unknown error';
+    capiEvent.sent = false;
+    capiEvent.response = err.response?.data;
+    capiEvent.error = errorMsg;
+    console.error(`❌ CAPI ${capiEvent.eventName} failed (${capiEvent.eventId}): ${errorMsg}`);
+  }
+  capiEvent.tries += 1;
+  capiEvent.lastTriedAt = new Date();
+  await capiEvent.save();
+  return capiEvent;
+}
+
+// PageView + ViewContent for a landing hit; returns the ids for the pixel
+async function trackLandingEvents(req, visitorId, { pageId, landingUrl }) {
+  const ids = {
+    PageView: capiEventIds.pageView(visitorId, pageId),
+    ViewContent: capiEventIds.viewContent(visitorId, pageId)
+  };
+  if (!capiEnabled()) return ids;
+
+  const product = await findProduct(req.body?.productId);
+  const userData = buildUserData({
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    fbc: req.cookies._fbc,
+    fbp: req.cookies._fbp,
+    visitorId
+  });
+
+  await queueCapiEvent({
+    eventName: 'PageView',
+    eventId: ids.PageView,
+    visitorId,
+    payload: buildCapiEvent({ eventName: 'PageView', eventId: ids.PageView, sourceUrl: landingUrl, userData })
+  });
+  if (product) {
+    await queueCapiEvent({
+      eventName: 'ViewContent',
+      eventId: ids.ViewContent,
+      visitorId,
+      payload: buildCapiEvent({
+        eventName: 'ViewContent',
+        eventId: ids.ViewContent,
+        sourceUrl: landingUrl,
+        userData,
+        customData: productCustomData(product, product.amountKobo, product.currency)
+      })
+    });
+  }
+  return ids;
+}
+
+// Lead + InitiateCheckout once an order exists
+async function trackCheckoutEvents(order, product) {
+  const ids = {
+    Lead: capiEventIds.lead(order.reference),
+    InitiateCheckout: capiEventIds.initiateCheckout(order.reference),
+    AddPaymentInfo: capiEventIds.addPaymentInfo(order.reference)
+  };
+  if (!capiEnabled()) return ids;
+
+  const userData = orderUserData(order);
+  const customData = orderCustomData(order, product);
+
+  await queueCapiEvent({
+    eventName: 'Lead',
+    eventId: ids.Lead,
+    reference: order.reference,
+    visitorId: order.visitorId,
+    payload: buildCapiEvent({ eventName: 'Lead', eventId: ids.Lead, eventTime: order.createdAt, userData, customData })
+  });
+  await queueCapiEvent({
+    eventName: 'InitiateCheckout',
+    eventId: ids.InitiateCheckout,
+    reference: order.reference,
+    visitorId: order.visitorId,
+    payload: buildCapiEvent({
+      eventName: 'InitiateCheckout',
+      eventId: ids.InitiateCheckout,
+      eventTime: order.createdAt,
+      userData,
+      customData
+    })
+  });
+  return ids;
+}
+
+// AddPaymentInfo when the Paystack modal opens
+async function trackPaymentInfoEvent(order) {
+  if (!capiEnabled()) return;
+  const product = await findOrderProduct(order);
+  const eventId = capiEventIds.addPaymentInfo(order.reference);
+
+  await queueCapiEvent({
+    eventName: 'AddPaymentInfo',
+    eventId,
+    reference: order.reference,
+    visitorId: order.visitorId,
+    payload: buildCapiEvent({
+      eventName: 'AddPaymentInfo',
+      eventId,
+      userData: orderUserData(order),
+      customData: orderCustomData(order, product)
+    })
+  });
+}
+
+// A phone added after purchase goes to Meta as a Contact event with its own event_id.
+// Re-sending the Purchase would be dropped as a duplicate (or counted twice after 48h);
+// this carries the new ph hash without any revenue
+async function trackPhoneUpdateEvent(order) {
+  if (!capiEnabled()) return;
+  const eventId = capiEventIds.phoneUpdate(order.reference, order.phoneHistory.length);
+
+  await queueCapiEvent({
+    eventName: 'Contact',
+    eventId,
+    reference: order.reference,
+    visitorId: order.visitorId,
+    payload: buildCapiEvent({
+      eventName: 'Contact',
+      eventId,
+      sourceUrl: `${SITE_URL}/paycomplete.html?ref=${encodeURIComponent(order.reference)}`,
+      userData: orderUserData(order),
+      customData: { order_id: order.reference }
+    })
+  });
+}
+
+/**
+ * Reconciliation of stale "initialized" orders
+ * Re-verifies against the order's payment provider, applies the /api/tx/verify amount checks, promotes/fails,
+ * and stores a ReconciliationRun report. Scheduled runs claim their time slot first so only
+ * one instance runs each slot.
+ */
+const RECONCILE_DEFAULT_MIN_AGE_MINUTES = RECONCILE_MIN_AGE_MINUTES;
+const RECONCILE_MAX_AGE_HOURS = 72;
+const RECONCILE_INTERVAL_MS = RECONCILE_INTERVAL_MINUTES * 60 * 1000;
+// Provider statuses that will never turn into a payment
+const PROVIDER_FINAL_FAILURES = ['failed', 'reversed'];
+
+async function reconcileStaleOrders({ olderThanMinutes = RECONCILE_DEFAULT_MIN_AGE_MINUTES, limit = 100, dryRun = false, actor = 'reconciler', slot } = {}) {
+  const run = new ReconciliationRun({ startedAt: new Date(), dryRun, actor, olderThanMinutes, slot });
+  // The unique slot index throws E11000 when another instance already has this slot
+  if (slot != null) await run.save();
+  const now = Date.now();
+
+  const orders = await Order.find({
+    status: 'initialized',
+    createdAt: {
+      $lte: new Date(now - olderThanMinutes * 60 * 1000),
+      $gte: new Date(now - RECONCILE_MAX_AGE_HOURS * 60 * 60 * 1000)
+    }
+  }).sort({ createdAt: 1 }).limit(limit);
+
+  for (const order of orders) {
+    run.checked++;
+    let tx;
+    try {
+      tx = await getProvider(order.provider).verify(order.reference);
+    } catch (e) {
+      run.failures.push({ reference: order.reference, error: e.response?.data?.message || e.message });
+      continue;
+    }
+
+    const status = tx.status;
+    if (status === 'not_found') {
+      // Never reached the provider's records - nothing was charged
+      run.discrepancies.push({ reference: order.reference, type: 'not_found_on_provider' });
+      run.unchanged++;
+      continue;
+    }
+
+    order.reconcile = { lastCheckedAt: new Date(), providerStatus: status };
+
+    if (status === 'success') {
+      const mismatch = amountMismatch(order, tx);
+      if (mismatch) {
+        run.discrepancies.push({ reference: order.reference, providerStatus: status, ...mismatch });
+        run.unchanged++;
+        if (!dryRun) await order.save();
+        continue;
+      }
+
+      run.promoted++;
+      run.discrepancies.push({ reference: order.reference, type: 'paid_but_initialized', providerStatus: status, actual: tx.amount });
+      if (!dryRun) {
+        transitionOrder(order, 'success', { actor, note: `Paid on ${order.provider}, found by reconciliation` });
+        order.verifiedAt = tx.paidAt || new Date();
+        if (tx.transactionId) order.providerTransactionId = tx.transactionId;
+        await order.save();
+        await onOrderPaid(order);
+        console.log(`🧾 Reconciled ${order.reference} → success`);
+      }
+    } else if (PROVIDER_FINAL_FAILURES.includes(status)) {
+      run.failed++;
+      if (!dryRun) {
+        transitionOrder(order, 'failed', { actor, note: `${order.provider} status: ${status}` });
+        await order.save();
+      }
+    } else {
+      // abandoned / ongoing / pending - leave it; abandoned carts are still useful leads
+      run.unchanged++;
+      if (!dryRun) await order.save();
+    }
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  if (run.checked) {
+    console.log(`🧾 Reconciliation${dryRun ? ' (dry run)' : ''}: checked ${run.checked}, promoted ${run.promoted}, failed ${run.failed}, discrepancies ${run.discrepancies.length}`);
+  }
+  return run;
+}
+
+function reconciliationSlot(date = new Date()) {
+  return Math.floor(date.getTime() / RECONCILE_INTERVAL_MS);
+}
+
+/**
+ * Outbound job queue (Mongo-backed)
+ * Every external side effect (CAPI, Telegram, email...) runs as a job:
+ * atomic claim per worker, exponential backoff with jitter, dead-letter after maxAttempts
+ */
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const JOB_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const JOB_DEFAULT_MAX_ATTEMPTS = 8;
+
+// 30s, 1m, 2m ... capped at 1h, ±20% jitter so retries from many jobs don't line up
+function jobRetryDelay(attempts) {
+  const base = Math.min(30 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue a job; with a dedupeKey, queuing the same job twice is a no-op
+ */
+async function enqueueJob(type, payload, { runAt = new Date(), maxAttempts = JOB_DEFAULT_MAX_ATTEMPTS, dedupeKey } = {}) {
+  if (!jobHandlers[type]) throw new Error(`Unknown job type: ${type}`);
+
+  try {
+    const job = await Job.create({ type, payload, runAt, maxAttempts, dedupeKey });
+    setImmediate(kickJobWorker);
+    return job;
+  } catch (e) {
+    if (e.code === 11000 && dedupeKey) return null;
+    throw e;
+  }
+}
+
+// Enqueue without making the caller fail when Mongo hiccups
+function enqueueJobSafe(type, payload, options) {
+  return enqueueJob(type, payload, options).catch((e) => {
+    console.error(`❌ Could not queue ${type}:`, e.message);
+    return null;
+  });
+}
+
+async function runDueJobs(limit = 20) {
+  for (let i = 0; i < limit; i++) {
+    const job = await Job.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: new Date() } },
+      { $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true, sort: { runAt: 1 } }
+    );
+    if (!job) return;
+
+    try {
+      const result = await jobHandlers[job.type](job.payload || {}, job);
+      job.status = 'done';
+      job.result = result;
+      job.lastError = null;
+      job.completedAt = new Date();
+    } catch (err) {
+      const errorMsg = err.response?.data?.error?.message || err.message || 'Unknown error';
+      job.lastError = errorMsg;
+      if (job.attempts >= job.maxAttempts || err.permanent) {
+        job.status = 'dead';
+        console.error(`☠️ Job ${job.type} ${job._id} dead after ${job.attempts} attempts: ${errorMsg}`);
+      } else {
+        job.status = 'pending';
+        job.runAt = new Date(Date.now() + jobRetryDelay(job.attempts));
+        console.error(`❌ Job ${job.type} ${job._id} attempt ${job.attempts} failed: ${errorMsg}`);
+      }
+    }
+
+    job.lockedBy = null;
+    job.lockedAt = null;
+    await job.save();
+    jobWorkerLastRunAt = new Date();
+  }
+}
+
+let jobWorkerBusy = false;
+// Heartbeat for /readyz: the start of each pass and the end of each job
+let jobWorkerLastRunAt = null;
+
+async function kickJobWorker() {
+  if (jobWorkerBusy) return;
+  jobWorkerBusy = true;
+  jobWorkerLastRunAt = new Date();
+  try {
+    // Jobs whose worker died mid-run go back to the queue
+    await Job.updateMany(
+      { status: 'running', lockedAt: { $lt: new Date(Date.now() - JOB_LOCK_TIMEOUT_MS) } },
+      { $set: { status: 'pending', lockedBy: null, lockedAt: null } }
+    );
+    await runDueJobs();
+  } catch (e) {
+    console.error('❌ Job worker error:', e.message);
+  } finally {
+    jobWorkerBusy = false;
+  }
+}
+
+// Mark a handler error as not worth retrying
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+async function loadJobOrder(reference) {
+  const order = await Order.findOne({ reference });
+  if (!order) throw permanentError(`Order not found: ${reference}`);
+  return order;
+}
+
+/**
+ * Job handlers - throw to retry, return a small result object when done
+ */
+const jobHandlers = {
+  // Purchase event; bookkeeping stays on order.capi
+  'capi.purchase': async ({ reference }) => {
+    if (!capiEnabled()) return { skipped: 'CAPI not configured' };
+
+    const order = await loadJobOrder(reference);
+    if (order.capi?.sent) return { skipped: 'Already sent' };
+
+    const product = await findOrderProduct(order);
+    try {
+      const data = await postCapi(buildCapiPayload(order, product));
+      order.capi = {
+        sent: true,
+        lastTriedAt: new Date(),
+        tries: (order.capi?.tries || 0) + 1,
+        response: data,
+        error: null
+      };
+      await order.save();
+      console.log(`✅ CAPI event sent successfully for ${reference}`);
+      return { sent: true };
+    } catch (err) {
+      order.capi = {
+        sent: false,
+        lastTriedAt: new Date(),
+        tries: (order.capi?.tries || 0) + 1,
+        response: err.response?.data,
+        error: err.response?.data?.error?.message || err.message || 'Unknown error'
+      };
+      await order.save();
+      throw err;
+    }
+  },
+
+  // Funnel events stored in CapiEvent
+  'capi.event': async ({ eventId }) => {
+    const capiEvent = await CapiEvent.findOne({ eventId });
+    if (!capiEvent) throw permanentError(`CAPI event not found: ${eventId}`);
+    if (capiEvent.sent) return { skipped: 'Already sent' };
+
+    await sendCapiEvent(capiEvent);
+    if (!capiEvent.sent) throw new Error(capiEvent.error);
+    return { sent: true };
+  },
+
+  // One notification to one destination (see notify)
+  'notify.deliver': async ({ deliveryId }, job) => {
+    const delivery = await NotificationDelivery.findById(deliveryId);
+    if (!delivery) throw permanentError(`Notification delivery not found: ${deliveryId}`);
+    if (delivery.status === 'sent') return { skipped: 'Already sent' };
+    return deliverNotification(delivery, job);
+  },
+
+  // Guide + group link to the buyer's WhatsApp; the manual alert takes over when it can't be sent
+  'whatsapp.guide': async ({ reference, phone }, job) => {
+    const order = await loadJobOrder(reference);
+    if (order.phone !== phone) return { skipped: 'Phone changed again' };
+    if (!DELIVERABLE_STATUSES.includes(order.status) || order.accessRevokedAt) {
+      return { skipped: `Order is ${order.status}` };
+    }
+    if (order.whatsapp?.phone === phone && order.whatsapp.messageId) return { skipped: 'Already sent' };
+    if (!whatsappEnabled()) {
+      await whatsappFallback(order, 'WhatsApp not configured');
+      return { skipped: 'WhatsApp not configured' };
+    }
+
+    await ensureDownloadGrant(order);
+    const product = await findOrderProduct(order);
+    try {
+      const messageId = await sendWhatsAppTemplate(phone, whatsappGuideParams(order, product));
+      order.whatsapp = { status: 'accepted', messageId, phone, acceptedAt: new Date() };
+      await order.save();
+      console.log(`💬 WhatsApp guide sent for ${reference} (${messageId})`);
+      return { sent: true, messageId };
+    } catch (err) {
+      const final = err.permanent || job.attempts >= job.maxAttempts;
+      order.whatsapp = {
+        phone,
+        status: final ? 'failed' : 'retrying',
+        error: err.message,
+        ...(final ? { failedAt: new Date() } : {})
+      };
+      await order.save();
+      if (final) await whatsappFallback(order, err.message);
+      throw err;
+    }
+  },
+
+  'email.receipt': async ({ reference, resend }) => {
+    if (!mailEnabled()) return { skipped: 'SMTP not configured' };
+
+    const order = await loadJobOrder(reference);
+    if (order.mail?.receiptSent && !resend) return { skipped: 'Already sent' };
+    if (!DELIVERABLE_STATUSES.includes(order.status) || order.accessRevokedAt) {
+      return { skipped: `Order is ${order.status}` };
+    }
+
+    await ensureDownloadGrant(order);
+    const product = await findOrderProduct(order);
+    const { subject, html, text } = renderReceiptEmail(order, product);
+
+    try {
+      const info = await sendMail({ to: order.email, subject, html, text });
+      order.mail = {
+        receiptSent: true,
+        sentAt: new Date(),
+        lastTriedAt: new Date(),
+        tries: (order.mail?.tries || 0) + 1,
+        messageId: info.messageId,
+        error: null
+      };
+      await order.save();
+      console.log(`📧 Receipt emailed for ${reference}`);
+      return { sent: true, messageId: info.messageId };
+    } catch (err) {
+      order.mail = {
+        ...order.mail,
+        receiptSent: false,
+        lastTriedAt: new Date(),
+        tries: (order.mail?.tries || 0) + 1,
+        error: err.message
+      };
+      await order.save();
+      throw err;
+    }
+  },
+
+  // One reminder of an abandoned checkout sequence; each step queues the next
+  'cart.reminder': async ({ id, step }) => {
+    const recovery = mongoose.isValidObjectId(id) && await CheckoutRecovery.findById(id);
+    if (!recovery) throw permanentError(`Checkout recovery not found: ${id}`);
+    if (recovery.status !== 'active') return { skipped: `Sequence is ${recovery.status}` };
+    if (recovery.stepsSent !== step) return { skipped: `Step ${step} already handled` };
+
+    const stop = async (stopReason) => {
+      recovery.status = 'stopped';
+      recovery.stopReason = stopReason;
+      recovery.nextAt = null;
+      await recovery.save();
+      return { skipped: stopReason };
+    };
+    if (!CART_RECOVERY_ENABLED || !mailEnabled()) return stop('disabled');
+    if (await emailSuppressed(recovery.email)) return stop('unsubscribed');
+
+    const paid = await paidOrderSince(recovery.email, recovery.abandonedAt);
+    if (paid) {
+      await markCartConverted(paid);
+      return { skipped: `Paid by ${paid.reference}` };
+    }
+    if (await ownsProduct(recovery.email, recovery.productId)) return stop('already_owned');
+
+    const resumeLink = `${SITE_URL}/?resume=${encodeURIComponent(signCartToken('resume', String(recovery._id), CART_RESUME_TTL_MS))}`;
+    const unsubscribeToken = encodeURIComponent(signCartToken('unsubscribe', recovery.email));
+    const { subject, html, text } = renderCartReminderEmail(recovery, step, {
+      resumeLink,
+      unsubscribeLink: `${SITE_URL}/unsubscribe.html?token=${unsubscribeToken}`
+    });
+
+    let info;
+    try {
+      info = await sendMail({
+        to: recovery.email,
+        subject,
+        html,
+        text,
+        headers: {
+          'List-Unsubscribe': `<${SITE_URL}/api/checkout/unsubscribe?token=${unsubscribeToken}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+    } catch (err) {
+      recovery.lastError = err.message;
+      await recovery.save();
+      throw err;
+    }
+
+    recovery.sends.push({ step, at: new Date(), messageId: info.messageId });
+    recovery.stepsSent = step + 1;
+    recovery.lastSentAt = new Date();
+    recovery.lastError = null;
+    console.log(`🛒 Cart reminder ${step + 1}/${CART_RECOVERY_DELAYS_MS.length} emailed for ${recovery.reference}`);
+
+    if (recovery.stepsSent >= CART_RECOVERY_DELAYS_MS.length) {
+      recovery.status = 'completed';
+      recovery.nextAt = null;
+      await recovery.save();
+    } else {
+      // The step is saved first, so a failed enqueue retries nothing; the next scan re-queues it
+      await scheduleCartReminder(recovery);
+    }
+    return { sent: true, step, messageId: info.messageId };
+  },
+
+  'cart.scan': async () => {
+    if (!CART_RECOVERY_ENABLED) return { skipped: 'Cart recovery is disabled' };
+    return scanAbandonedCheckouts();
+  },
+
+};
+
+/**
+ * Post-payment side effects, queued once per order
+ * Called wherever an order reaches success (verify, webhook, admin override)
+ */
+async function onOrderPaid(order) {
+  // Before the sale notification, so it can show the flag
+  await flagCouponOverLimit(order).catch((e) => console.error(`❌ Coupon limit check failed for ${order.reference}:`, e.message));
+  await syncAffiliateCommission(order);
+  await markCartConverted(order).catch((e) => console.error(`❌ Cart recovery update failed for ${order.reference}:`, e.message));
+  await enqueueJobSafe('capi.purchase', { reference: order.reference }, {
+    dedupeKey: `capi.purchase:${order.reference}`
+  });
+  await enqueueJobSafe('email.receipt', { reference: order.reference }, {
+    dedupeKey: `email.receipt:${order.reference}`
+  });
+  // Small delay so the sale message can usually report the CAPI result
+  await notify('order.paid', order, { runAt: new Date(Date.now() + 15 * 1000) });
+}
+
+/**
+ * Signed download links (see tokens.js)
+ * The grant on the order is the source of truth: reissuing rotates grantId, so old links die
+ */
+const DOWNLOAD_SIGNING_KEY = DOWNLOAD_SECRET
+  || crypto.createHash('sha256').update(`download:${PAYSTACK_SECRET_KEY || ''}`).digest('hex');
+const DOWNLOAD_DEFAULT_TTL_HOURS = DOWNLOAD_TTL_HOURS;
+const DOWNLOAD_DEFAULT_MAX = DOWNLOAD_MAX;
+const DOWNLOADS_ROOT = path.resolve(DOWNLOADS_DIR || path.join(__dirname, 'downloads'));
+
+const signDownloadToken = (grant) => tokens.signDownloadToken(DOWNLOAD_SIGNING_KEY, grant);
+const verifyDownloadToken = (token) => tokens.verifyDownloadToken(DOWNLOAD_SIGNING_KEY, token);
+
+function downloadUrl(order) {
+  const grant = order.download;
+  if (!grant?.grantId || grant.revokedAt) return null;
+  return `${SITE_URL || ''}/download/${signDownloadToken({
+    reference: order.reference,
+    grantId: grant.grantId,
+    expiresAt: grant.expiresAt
+  })}`;
+}
+
+/**
+ * Make sure the order has a usable grant; returns the signed URL
+ * Expired grants are renewed; revoked ones stay revoked unless force is set (admin reissue)
+ */
+async function ensureDownloadGrant(order, { force = false, ttlHours, maxDownloads } = {}) {
+  const grant = order.download;
+  const usable = grant?.grantId && !grant.revokedAt && grant.expiresAt > new Date();
+  if (usable && !force) return downloadUrl(order);
+  if (grant?.revokedAt && !force) return null;
+
+  order.download = {
+    grantId: crypto.randomBytes(12).toString('hex'),
+    issuedAt: new Date(),
+    expiresAt: new Date(Date.now() + (ttlHours || DOWNLOAD_DEFAULT_TTL_HOURS) * 60 * 60 * 1000),
+    maxDownloads: maxDownloads || DOWNLOAD_DEFAULT_MAX,
+    count: 0,
+    revokedAt: null
+  };
+  await order.save();
+  return downloadUrl(order);
+}
+
+function logDownload(order, req, outcome) {
+  return Order.updateOne(
+    { _id: order._id },
+    {
+      $push: {
+        downloadLog: {
+          $each: [{
+            at: new Date(),
+            ip: req.ip,
+            userAgent: clip(req.headers['user-agent'], 300),
+            grantId: order.download?.grantId,
+            outcome
+          }],
+          $slice: -200
+        }
+      }
+    }
+  ).catch((e) => console.error('❌ Download log failed:', e.message));
+}
+
+// Download: validate the signed token, count it, then stream the file or redirect
+app.get('/download/:token', async (req, res) => {
+  const claims = verifyDownloadToken(req.params.token);
+  if (!claims) {
+    return res.status(403).send('Invalid download link');
+  }
+
+  try {
+    const order = await Order.findOne({ reference: claims.reference });
+    if (!order) {
+      return res.status(404).send('Order not found');
+    }
+
+    const grant = order.download || {};
+    let denied = null;
+    if (grant.grantId !== claims.grantId) denied = 'superseded';
+    else if (grant.revokedAt) denied = 'revoked';
+    else if (order.accessRevokedAt || !DELIVERABLE_STATUSES.includes(order.status)) denied = 'order_inactive';
+    else if (claims.expiresAt < new Date()) denied = 'expired';
+
+    if (denied) {
+      await logDownload(order, req, denied);
+      return res.status(410).send('This download link is no longer valid. Use "Recover my purchase" or contact support.');
+    }
+
+    // Count atomically so parallel requests can't exceed the limit
+    const counted = await Order.updateOne(
+      { _id: order._id, 'download.grantId': grant.grantId, 'download.count': { $lt: grant.maxDownloads } },
+      { $inc: { 'download.count': 1 } }
+    );
+    if (!counted.modifiedCount) {
+      await logDownload(order, req, 'limit_reached');
+      return res.status(429).send('Download limit reached. Contact support for a new link.');
+    }
+
+    const product = await findOrderProduct(order);
+    await logDownload(order, req, 'ok');
+
+    if (product?.filePath) {
+      const file = path.resolve(DOWNLOADS_ROOT, product.filePath);
+      if (!file.startsWith(DOWNLOADS_ROOT + path.sep)) {
+        console.error(`❌ Product ${product.productId} filePath escapes downloads dir`);
+        return res.status(500).send('Download unavailable');
+      }
+      return res.download(file, path.basename(file), (err) => {
+        if (err && !res.headersSent) {
+          console.error(`❌ Download stream failed for ${order.reference}:`, err.message);
+          res.status(500).send('Download unavailable');
+        }
+      });
+    }
+
+    if (product?.driveLink) {
+      return res.redirect(302, product.driveLink);
+    }
+
+    res.status(404).send('Nothing to download for this product');
+  } catch (e) {
+    console.error('❌ download error:', e.message);
+    res.status(500).send('Server error');
+  }
+});
+
+/**
+ * ref+token check shared by the paycomplete endpoints
+ * Returns { status, error } to send back, or null when the buyer may proceed
+ */
+function orderAccessError(order, token) {
+  if (!order) return { status: 404, error: 'Order not found' };
+  if (!safeEqual(order.successToken, token)) return { status: 403, error: 'Invalid token' };
+  if (order.tokenExpiresAt && new Date() > order.tokenExpiresAt) return { status: 403, error: 'Token expired' };
+  if (order.accessRevokedAt) return { status: 403, error: 'Access revoked - this order was refunded' };
+  if (!DELIVERABLE_STATUSES.includes(order.status)) return { status: 409, error: 'Payment not confirmed yet' };
+  return null;
+}
+
+// API: Confirm Order & queue CAPI + Telegram
+app.get('/api/order/confirm', async (req, res) => {
+  const { ref, token } = req.query || {};
+  if (!ref || !token) {
+    return res.status(400).json({ ok: false, error: 'ref and token required' });
+  }
+
+  const order = await Order.findOne({ reference: ref });
+  const denied = orderAccessError(order, token);
+  if (denied) {
+    return res.status(denied.status).json({ ok: false, error: denied.error });
+  }
+
+  const product = await findOrderProduct(order);
+
+  // No-op when verify/webhook already queued them (dedupe keys)
+  await onOrderPaid(order);
+
+  const downloadLink = await ensureDownloadGrant(order);
+
+  res.json({
+    ok: true,
+    drive: downloadLink,
+    whatsapp: product?.communityUrl || null,
+    product: {
+      id: order.productId || product?.productId || null,
+      name: order.productName || product?.name || null
+    },
+    order: { 
+      reference: order.reference, 
+      email: order.email,
+      phone: order.phone || null,
+      amount: order.amount, 
+      originalAmount: order.originalAmount,
+      discount: order.discount || 0,
+      couponCode: order.coupon?.code || null,
+      currency: order.currency 
+    },
+    capiSent: order.capi.sent === true,
+    capiError: order.capi.error,
+    notificationSent: Boolean(await NotificationDelivery.exists({ reference: order.reference, event: 'order.paid', status: 'sent' })),
+    emailSent: order.mail?.receiptSent === true
+  });
+});
+
+/**
+ * Purchase recovery ("recover my purchase")
+ * Email → one-time magic link → fresh confirm tokens for every paid order on that email.
+ * Responses never reveal whether the email has purchases.
+ */
+const RECOVERY_TOKEN_TTL_MS = 30 * 60 * 1000;
+const RECOVERY_CONFIRM_TTL_MS = 24 * 60 * 60 * 1000;
+const RECOVERY_GENERIC_MESSAGE = 'If that email has a purchase, a recovery link is on its way. Check your inbox and spam folder.';
+
+const recoverIpLimit = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  key: (req) => `recover-ip:${req.ip}`
+});
+
+const recoverEmailLimit = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  key: (req) => `recover-email:${normalizeEmail(req.body?.email)}`
+});
+
+function renderRecoveryEmail(link) {
+  const subject = 'Your purchase recovery link';
+  const text = [
+    'Someone (hopefully you) asked to recover purchases made with this email.',
+    '',
+    `Open this link within 30 minutes to get your guides: ${link}`,
+    '',
+    'The link works once. If you did not ask for this, you can ignore this email.'
+  ].join('\n');
+
+  const html = `
+<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#0f0f1a;font-family:Arial,Helvetica,sans-serif;color:#e0e0e0;">
+  <div style="max-width:520px;margin:0 auto;background:#1a1a2e;border-radius:12px;padding:28px;">
+    <h1 style="margin:0 0 12px;font-size:20px;color:#ffffff;">Recover your purchase</h1>
+    <p style="margin:0 0 20px;color:#b0b0b0;">Someone (hopefully you) asked to recover purchases made with this email. The link below works once and expires in 30 minutes.</p>
+    <a href="${escapeHtml(link)}" style="display:inline-block;padding:12px 22px;border-radius:8px;background:#667eea;color:#ffffff;text-decoration:none;font-weight:600;">Show My Purchases</a>
+    <p style="margin:24px 0 0;color:#666;font-size:12px;">If you did not ask for this, you can ignore this email.</p>
+  </div>
+</body>
+</html>`.trim();
+
+  return { subject, html, text };
+}
+
+// API: Request a recovery link
+app.post('/api/recover/request', recoverIpLimit, recoverEmailLimit, async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ ok: false, error: 'Valid email is required' });
+  }
+
+  // Reply first so response time doesn't leak whether the email exists
+  res.json({ ok: true, message: RECOVERY_GENERIC_MESSAGE });
+
+  try {
+    const hasOrders = await Order.exists({
+      email: new RegExp(`^${escapeRegex(email)}$`, 'i'),
+      status: { $in: DELIVERABLE_STATUSES },
+      accessRevokedAt: null
+    });
+    if (!hasOrders) {
+      console.log('🔎 Recovery requested for an email with no purchases');
+      return;
+    }
+    if (!mailEnabled()) {
+      console.error('❌ Recovery requested but SMTP is not configured');
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await RecoveryToken.create({
+      tokenHash: sha256(token),
+      email,
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + RECOVERY_TOKEN_TTL_MS)
+    });
+
+    const link = `${SITE_URL || ''}/recover.html?token=${encodeURIComponent(token)}`;
+    await sendMail({ to: email, ...renderRecoveryEmail(link) });
+    console.log('📧 Recovery link sent');
+  } catch (e) {
+    console.error('❌ recover request error:', e.message);
+  }
+});
+
+// API: Redeem a recovery link (POST so email link scanners can't burn it)
+app.post('/api/recover/redeem', recoverIpLimit, async (req, res) => {
+  const token = String(req.body?.token || '');
+  if (!token) {
+    return res.status(400).json({ ok: false, error: 'token is required' });
+  }
+
+  try {
+    const recovery = await RecoveryToken.findOneAndUpdate(
+      { tokenHash: sha256(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date(), usedIp: req.ip } },
+      { new: true }
+    );
+    if (!recovery) {
+      return res.status(403).json({ ok: false, error: 'This link is invalid or has expired. Request a new one.' });
+    }
+
+    const orders = await Order.find({
+      email: new RegExp(`^${escapeRegex(recovery.email)}$`, 'i'),
+      status: { $in: DELIVERABLE_STATUSES },
+      accessRevokedAt: null
+    }).sort({ createdAt: -1 });
+
+    const purchases = [];
+    for (const order of orders) {
+      const confirmToken = issueSuccessToken(order, RECOVERY_CONFIRM_TTL_MS);
+      await order.save();
+      const download = await ensureDownloadGrant(order);
+
+      purchases.push({
+        reference: order.reference,
+        product: order.productName,
+        amount: order.amount,
+        currency: order.currency,
+        paidAt: order.verifiedAt || order.createdAt,
+        download,
+        confirmUrl: `/paycomplete.html?ref=${encodeURIComponent(order.reference)}&token=${encodeURIComponent(confirmToken)}`
+      });
+    }
+
+    console.log(`🔓 Recovery link redeemed (${purchases.length} purchase(s))`);
+    res.json({ ok: true, purchases });
+  } catch (e) {
+    console.error('❌ recover redeem error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Upsells (paycomplete page)
+ * Offers are tied to what the buyer just paid for. Checkout starts a fresh transaction
+ * for the parent order's email; the child order keeps parentReference.
+ */
+async function eligibleUpsells(order) {
+  const offers = await UpsellOffer.find({
+    active: true,
+    productId: { $ne: order.productId },
+    $or: [
+      { triggerProductIds: { $size: 0 } },
+      { triggerProductIds: order.productId }
+    ]
+  }).sort({ sortOrder: 1, createdAt: 1 });
+  if (!offers.length) return [];
+
+  // Skip anything this buyer already owns
+  const owned = await Order.distinct('productId', { email: order.email, status: { $in: DELIVERABLE_STATUSES } });
+  const products = await Product.find({
+    productId: { $in: offers.map((o) => o.productId), $nin: owned },
+    active: true
+  });
+  const byId = new Map(products.map((p) => [p.productId, p]));
+
+  return offers
+    .filter((offer) => byId.has(offer.productId))
+    .map((offer) => ({ offer, product: byId.get(offer.productId) }));
+}
+
+// The offer's own price, unless the product's current tier is cheaper.
+// pricingTier.amountKobo is the price before the offer's discount, as at /api/tx/init
+function upsellPricing(offer, price) {
+  if (offer.amountKobo != null && offer.amountKobo < price.amountKobo) {
+    const regular = { amountKobo: price.regularAmountKobo, regularAmountKobo: price.regularAmountKobo, tier: null };
+    return { amountKobo: offer.amountKobo, pricingTier: orderPricingTier(regular) };
+  }
+  return { amountKobo: price.amountKobo, pricingTier: orderPricingTier(price) };
+}
+
+function publicUpsell({ offer, product }, price) {
+  return {
+    offerId: offer.offerId,
+    headline: offer.headline,
+    description: offer.description || product.description,
+    product: publicProduct(product, price),
+    amountKobo: upsellPricing(offer, price).amountKobo,
+    originalAmountKobo: product.amountKobo,
+    currency: product.currency
+  };
+}
+
+// API: Upsell offers for a confirmed order
+app.get('/api/upsells', async (req, res) => {
+  try {
+    const { ref, token } = req.query || {};
+    const order = ref && await Order.findOne({ reference: ref });
+    const denied = orderAccessError(order, token);
+    if (denied) {
+      return res.status(denied.status).json({ ok: false, error: denied.error });
+    }
+
+    const offers = await eligibleUpsells(order);
+    res.json({
+      ok: true,
+      offers: await Promise.all(offers.map(async (match) => publicUpsell(match, await currentPricing(match.product, { email: order.email }))))
+    });
+  } catch (e) {
+    console.error('❌ upsells error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// API: One-click upsell checkout - same response shape as /api/tx/init
+app.post('/api/upsells/checkout', initIpLimit, async (req, res) => {
+  try {
+    const { ref, token, offerId } = req.body || {};
+    const parent = ref && await Order.findOne({ reference: ref });
+    const denied = orderAccessError(parent, token);
+    if (denied) {
+      return res.status(denied.status).json({ ok: false, error: denied.error });
+    }
+
+    const match = (await eligibleUpsells(parent)).find(({ offer }) => offer.offerId === offerId);
+    if (!match) {
+      return res.status(404).json({ ok: false, error: 'Offer not available' });
+    }
+    const { offer, product } = match;
+    const { amountKobo: amount, pricingTier } = upsellPricing(offer, await currentPricing(product, { email: parent.email }));
+
+    const reference = `GV3-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+    let payment;
+    try {
+      payment = await initializePayment({
+        email: parent.email,
+        amount,
+        currency: product.currency,
+        reference,
+        metadata: {
+          custom_fields: [
+            { display_name: 'Product', variable_name: 'product', value: product.name },
+            { display_name: 'Upsell of', variable_name: 'parent_reference', value: parent.reference }
+          ],
+          productId: product.productId,
+          parentReference: parent.reference,
+          upsellOfferId: offer.offerId
+        }
+      });
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: 'Payment initialization failed' });
+    }
+    const { provider, init } = payment;
+
+    // Tracking data carries over so the upsell Purchase matches the same person
+    const order = await Order.create({
+      reference,
+      email: parent.email,
+      firstName: parent.firstName,
+      lastName: parent.lastName,
+      phone: parent.phone,
+      productId: product.productId,
+      productName: product.name,
+      parentReference: parent.reference,
+      upsellOfferId: offer.offerId,
+      pricingTier,
+      originalAmount: pricingTier.amountKobo,
+      discount: Math.max(pricingTier.amountKobo - amount, 0),
+      amount,
+      currency: product.currency,
+      ip: parent.ip,
+      userAgent: parent.userAgent,
+      fbclid: parent.fbclid,
+      fbc: parent.fbc,
+      fbp: parent.fbp,
+      country: parent.country,
+      visitorId: parent.visitorId,
+      affiliateCode: parent.affiliateCode,
+      attribution: parent.attribution,
+      provider: provider.name,
+      status: 'initialized'
+    });
+
+    console.log(`✓ Upsell initialized: ${reference} (${offer.offerId}) for ${parent.reference} via ${provider.name}`);
+
+    res.json({
+      ok: true,
+      reference: order.reference,
+      email: order.email,
+      amount,
+      currency: product.currency,
+      ...provider.clientConfig(),
+      access_code: init.accessCode,
+      authorizationUrl: init.authorizationUrl
+    });
+  } catch (e) {
+    console.error('❌ upsell checkout error:', e.response?.data || e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Abandoned checkout recovery (CART_RECOVERY_ENABLED)
+ * A checkout still unpaid after the first CART_RECOVERY_DELAYS_MINUTES delay, with no later
+ * paid order on the same email, starts a reminder sequence: one email per delay, each with a
+ * signed resume link (/?resume=) that starts a fresh transaction for the same product.
+ * The sequence stops when the email pays, unsubscribes, or gets its last reminder.
+ * Paying through the link counts as recovered; paying some other way after a reminder, as assisted.
+ */
+const CART_RECOVERY_DELAYS_MS = String(CART_RECOVERY_DELAYS_MINUTES).split(',').map((m) => Number(m) * 60 * 1000);
+const CART_RECOVERY_SCAN_MS = 10 * 60 * 1000;
+const CART_RECOVERY_LOOKBACK_HOURS = 72;
+const CART_RECOVERY_COOLDOWN_DAYS = 7;    // A finished or stopped sequence blocks a new one for the email this long
+const CART_RECOVERY_ATTRIBUTION_DAYS = 7; // Payments this long after the last reminder still count as assisted
+const CART_RESUME_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CART_SIGNING_KEY = crypto.createHash('sha256')
+  .update(`cart:${DOWNLOAD_SECRET || PAYSTACK_SECRET_KEY || config.FLW_SECRET_KEY || ''}`)
+  .digest('hex');
+
+// Resume and unsubscribe links (see tokens.js)
+const signCartToken = (purpose, value, ttlMs) => tokens.signCartToken(CART_SIGNING_KEY, purpose, value, ttlMs);
+const verifyCartToken = (purpose, token) => tokens.verifyCartToken(CART_SIGNING_KEY, purpose, token);
+
+const emailSuppressed = async (email) => Boolean(await EmailSuppression.exists({ email: normalizeEmail(email) }));
+
+// First paid order on the email since a date (any product)
+function paidOrderSince(email, since) {
+  return Order.findOne({ email, status: { $in: PAID_STATUSES }, createdAt: { $gte: since } }).sort({ createdAt: 1 });
+}
+
+// The email already has the product and still has access to it
+const ownsProduct = async (email, productId) =>
+  Boolean(await Order.exists({ email, productId, status: { $in: DELIVERABLE_STATUSES } }));
+
+// Queue the sequence's next reminder, keeping the configured gap after the previous one
+async function scheduleCartReminder(recovery) {
+  const step = recovery.stepsSent;
+  const due = recovery.abandonedAt.getTime() + CART_RECOVERY_DELAYS_MS[step];
+  const spaced = step && recovery.lastSentAt
+    ? recovery.lastSentAt.getTime() + CART_RECOVERY_DELAYS_MS[step] - CART_RECOVERY_DELAYS_MS[step - 1]
+    : 0;
+  recovery.nextAt = new Date(Math.max(due, spaced));
+  await recovery.save();
+  await enqueueJob('cart.reminder', { id: String(recovery._id), step }, {
+    runAt: recovery.nextAt,
+    dedupeKey: `cart.reminder:${recovery._id}:${step}`
+  });
+}
+
+/**
+ * Start sequences for newly abandoned checkouts and re-queue overdue reminders
+ * Only each email's latest checkout counts; upsells and checkouts started from a reminder are skipped
+ */
+async function scanAbandonedCheckouts({ limit = 200 } = {}) {
+  const now = Date.now();
+  const carts = await Order.find({
+    status: { $in: ['initialized', 'failed'] },
+    parentReference: null,
+    recoveredFrom: null,
+    createdAt: {
+      $lte: new Date(now - CART_RECOVERY_DELAYS_MS[0]),
+      $gte: new Date(now - CART_RECOVERY_LOOKBACK_HOURS * 60 * 60 * 1000)
+    }
+  }).sort({ createdAt: -1 }).limit(limit);
+
+  const latest = new Map();
+  carts.forEach((order) => {
+    if (order.email && !latest.has(order.email)) latest.set(order.email, order);
+  });
+
+  let started = 0;
+  for (const order of latest.values()) {
+    if (await paidOrderSince(order.email, order.createdAt)) continue;
+    // Owners reopening checkout aren't abandoning anything
+    if (await ownsProduct(order.email, order.productId)) continue;
+    if (await emailSuppressed(order.email)) continue;
+
+    const blocked = await CheckoutRecovery.exists({
+      email: order.email,
+      $or: [
+        { reference: order.reference },
+        { status: 'active' },
+        { status: { $in: ['completed', 'stopped'] }, updatedAt: { $gte: new Date(now - CART_RECOVERY_COOLDOWN_DAYS * 24 * 60 * 60 * 1000) } }
+      ]
+    });
+    if (blocked) continue;
+
+    try {
+      const recovery = await CheckoutRecovery.create({
+        email: order.email,
+        reference: order.reference,
+        productId: order.productId,
+        productName: order.productName,
+        amount: order.amount,
+        currency: order.currency,
+        abandonedAt: order.createdAt
+      });
+      await scheduleCartReminder(recovery);
+      started++;
+    } catch (e) {
+      if (e.code !== 11000) throw e;
+    }
+  }
+
+  // A reminder whose enqueue failed is picked up here; the dedupe key makes this a no-op otherwise
+  const overdue = await CheckoutRecovery.find({ status: 'active', nextAt: { $lte: new Date(now - CART_RECOVERY_SCAN_MS) } }).limit(limit);
+  for (const recovery of overdue) {
+    await enqueueJobSafe('cart.reminder', { id: String(recovery._id), step: recovery.stepsSent }, {
+      dedupeKey: `cart.reminder:${recovery._id}:${recovery.stepsSent}`
+    });
+  }
+
+  if (started) console.log(`🛒 Cart recovery: ${started} new sequence(s) from ${latest.size} abandoned checkout(s)`);
+  return { checked: latest.size, started, overdue: overdue.length };
+}
+
+/**
+ * Close the email's sequences once it pays
+ * Called from onOrderPaid; the sequence behind a resume link is credited first
+ */
+async function markCartConverted(order) {
+  const now = new Date();
+  const converted = (viaLink) => ({
+    $set: {
+      status: 'converted',
+      convertedAt: now,
+      recoveredReference: order.reference,
+      recoveredAmount: order.amount,
+      recoveredCurrency: order.currency,
+      viaLink,
+      nextAt: null
+    }
+  });
+
+  let recovery = order.recoveredFrom && await CheckoutRecovery.findOneAndUpdate(
+    { reference: order.recoveredFrom, status: { $ne: 'converted' } },
+    converted(true),
+    { new: true }
+  );
+  if (!recovery) {
+    recovery = await CheckoutRecovery.findOneAndUpdate({
+      email: order.email,
+      abandonedAt: { $lte: order.createdAt },
+      $or: [
+        { status: 'active' },
+        { status: 'completed', lastSentAt: { $gte: new Date(now - CART_RECOVERY_ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000) } }
+      ]
+    }, converted(false), { new: true, sort: { abandonedAt: -1 } });
+  }
+
+  // Anything else still running for this email has nothing left to recover
+  await CheckoutRecovery.updateMany(
+    { email: order.email, status: 'active' },
+    { $set: { status: 'stopped', stopReason: 'converted', nextAt: null } }
+  );
+
+  if (recovery) {
+    console.log(`🛒 Checkout ${recovery.reference} ${recovery.viaLink ? 'recovered' : 'converted'} by ${order.reference}`);
+  }
+  return recovery;
+}
+
+async function suppressEmail(email, source) {
+  try {
+    await EmailSuppression.updateOne(
+      { email },
+      { $setOnInsert: { email, reason: 'unsubscribe', source } },
+      { upsert: true }
+    );
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+  }
+  await CheckoutRecovery.updateMany(
+    { email, status: 'active' },
+    { $set: { status: 'stopped', stopReason: 'unsubscribed', nextAt: null } }
+  );
+}
+
+const CART_REMINDER_SUBJECTS = [
+  (name) => `You left ${name} at checkout`,
+  (name) => `Still thinking about ${name}?`
+];
+
+// Reminder email: what they were buying, a resume button and an unsubscribe link
+function renderCartReminderEmail(recovery, step, { resumeLink, unsubscribeLink }) {
+  const productName = recovery.productName || 'your guide';
+  const amount = formatAmount(recovery.amount, recovery.currency);
+  const subject = CART_REMINDER_SUBJECTS[Math.min(step, CART_REMINDER_SUBJECTS.length - 1)](productName);
+
+  const text = [
+    `You started checking out ${productName} (${amount}) but didn't finish.`,
+    '',
+    `Pick up where you left off: ${resumeLink}`,
+    '',
+    'If you already paid, you can ignore this email.',
+    `Don't want these reminders? Unsubscribe: ${unsubscribeLink}`
+  ].join('\n');
+
+  const html = `
+<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#0f0f1a;font-family:Arial,Helvetica,sans-serif;color:#e0e0e0;">
+  <div style="max-width:520px;margin:0 auto;background:#1a1a2e;border-radius:12px;padding:28px;">
+    <h1 style="margin:0 0 12px;font-size:20px;color:#ffffff;">Your checkout is waiting</h1>
+    <p style="margin:0 0 20px;color:#b0b0b0;">You started checking out <strong style="color:#ffffff;">${escapeHtml(productName)}</strong> (${escapeHtml(amount)}) but didn't finish. Your spot is saved - pick up where you left off.</p>
+    <a href="${escapeHtml(resumeLink)}" style="display:inline-block;padding:12px 22px;border-radius:8px;background:#00b894;color:#ffffff;text-decoration:none;font-weight:600;">Complete My Purchase</a>
+    <p style="margin:24px 0 0;color:#666;font-size:12px;">If you already paid, you can ignore this email. <a href="${escapeHtml(unsubscribeLink)}" style="color:#888;">Unsubscribe</a> from checkout reminders.</p>
+  </div>
+</body>
+</html>`.trim();
+
+  return { subject, html, text };
+}
+
+// API: Start a fresh checkout from a reminder link (same response as /api/tx/init, plus email)
+app.post('/api/checkout/resume', initIpLimit, async (req, res) => {
+  try {
+    const id = verifyCartToken('resume', req.body?.token);
+    const recovery = id && mongoose.isValidObjectId(id) && await CheckoutRecovery.findById(id);
+    if (!recovery) {
+      return res.status(404).json({ ok: false, error: 'This link is invalid or has expired' });
+    }
+    if (recovery.status === 'converted' || await paidOrderSince(recovery.email, recovery.abandonedAt) ||
+        await ownsProduct(recovery.email, recovery.productId)) {
+      return res.status(409).json({ ok: false, error: 'You already completed this purchase. Check your email for your receipt.', purchased: true });
+    }
+
+    const [abandoned, product] = await Promise.all([
+      Order.findOne({ reference: recovery.reference }),
+      findProduct(recovery.productId)
+    ]);
+    if (!abandoned || !product) {
+      return res.status(404).json({ ok: false, error: 'This product is no longer available' });
+    }
+
+    // Today's price tier; the original coupon still applies if it's still valid
+    const price = await currentPricing(product, { email: recovery.email });
+    let pricing = { originalAmount: price.amountKobo, discount: 0, finalAmount: price.amountKobo };
+    if (abandoned.coupon?.code) {
+      const couponPricing = await applyCoupon({ code: abandoned.coupon.code, email: recovery.email, product, baseAmount: price.amountKobo });
+      if (couponPricing.ok) pricing = couponPricing;
+    }
+
+    const reference = `GV3-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+    let payment;
+    try {
+      payment = await initializePayment({
+        email: recovery.email,
+        amount: pricing.finalAmount,
+        currency: product.currency,
+        reference,
+        metadata: {
+          custom_fields: [
+            { display_name: 'Product', variable_name: 'product', value: product.name },
+            { display_name: 'Recovered from', variable_name: 'recovered_from', value: recovery.reference }
+          ],
+          productId: product.productId,
+          priceTier: orderPricingTier(price).tierId,
+          couponCode: pricing.coupon?.code,
+          originalAmount: pricing.originalAmount,
+          discount: pricing.discount,
+          recoveredFrom: recovery.reference
+        }
+      });
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: 'Payment initialization failed' });
+    }
+    const { provider, init } = payment;
+
+    // Tracking data carries over so the Purchase matches the same person and campaign
+    const order = await Order.create({
+      reference,
+      email: recovery.email,
+      firstName: abandoned.firstName,
+      lastName: abandoned.lastName,
+      productId: product.productId,
+      productName: product.name,
+      recoveredFrom: recovery.reference,
+      originalAmount: pricing.originalAmount,
+      discount: pricing.discount,
+      amount: pricing.finalAmount,
+      currency: product.currency,
+      pricingTier: orderPricingTier(price),
+      coupon: pricing.coupon
+        ? { code: pricing.coupon.code, type: pricing.coupon.type, value: pricing.coupon.value }
+        : undefined,
+      ip: abandoned.ip,
+      userAgent: abandoned.userAgent,
+      fbclid: abandoned.fbclid,
+      fbc: abandoned.fbc,
+      fbp: abandoned.fbp,
+      country: abandoned.country,
+      visitorId: abandoned.visitorId,
+      affiliateCode: abandoned.affiliateCode,
+      attribution: abandoned.attribution,
+      provider: provider.name,
+      status: 'initialized'
+    });
+
+    await CheckoutRecovery.updateOne({ _id: recovery._id }, { $push: { resumes: { reference, at: new Date() } } });
+
+    console.log(`🛒 Checkout resumed: ${reference} from ${recovery.reference} via ${provider.name}`);
+
+    res.json({
+      ok: true,
+      reference: order.reference,
+      email: order.email,
+      amount: pricing.finalAmount,
+      currency: product.currency,
+      pricingTier: order.pricingTier.tierId,
+      ...provider.clientConfig(),
+      access_code: init.accessCode,
+      authorizationUrl: init.authorizationUrl
+    });
+  } catch (e) {
+    console.error('❌ checkout resume error:', e.response?.data || e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// API: Unsubscribe from reminders - from unsubscribe.html, or a mail client's one-click POST (RFC 8058)
+app.post('/api/checkout/unsubscribe', async (req, res) => {
+  const email = verifyCartToken('unsubscribe', req.body?.token || req.query.token);
+  if (!email) {
+    return res.status(400).json({ ok: false, error: 'This unsubscribe link is invalid' });
+  }
+
+  try {
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+    await suppressEmail(email, oneClick ? 'one_click' : 'link');
+    console.log(`🔕 Unsubscribed from reminders: ${email}`);
+    res.json({ ok: true, message: 'You will not get any more checkout reminders.' });
+  } catch (e) {
+    console.error('❌ unsubscribe error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Affiliates
+ * ?ref= / ?aff= is stored in the _aff cookie by /api/identify and copied onto the Order
+ * at checkout. The ledger is append-only: a paid order accrues commission, refunds add
+ * reversals in proportion to the refunded amount, a chargeback reverses it in full, and
+ * admin payouts are negative entries. Balances are kept per currency.
+ */
+const AFFILIATE_COOKIE_DAYS = 30;
+
+async function findAffiliate(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{2,32}$/.test(normalized)) return null;
+  return Affiliate.findOne({ code: normalized, active: true });
+}
+
+// The affiliate to credit for a checkout; buyers can't refer themselves
+async function referringAffiliate(code, buyerEmail) {
+  if (!code) return null;
+  const affiliate = await findAffiliate(code);
+  if (!affiliate) return null;
+  if (affiliate.email && normalizeEmail(affiliate.email) === normalizeEmail(buyerEmail)) return null;
+  return affiliate;
+}
+
+function commissionFor(affiliate, amountKobo) {
+  if (affiliate.commissionType === 'fixed') return Math.min(affiliate.commissionValue, amountKobo);
+  return Math.round(amountKobo * Math.min(affiliate.commissionValue, 100) / 100);
+}
+
+// Ledger inserts are keyed, so replays are no-ops
+async function addLedgerEntry(entry) {
+  try {
+    return await AffiliateLedger.create(entry);
+  } catch (e) {
+    if (e.code === 11000) return null;
+    throw e;
+  }
+}
+
+/**
+ * Bring the order's ledger entries in line with its current state
+ * Safe to call after every paid / refund change
+ */
+async function syncAffiliateCommission(order) {
+  if (!order.affiliateCode || !order.verifiedAt) return;
+
+  try {
+    let accrual = await AffiliateLedger.findOne({ dedupeKey: `accrual:${order.reference}` });
+    if (!accrual) {
+      // Rate is locked in from the affiliate's terms at the time of sale
+      const affiliate = await Affiliate.findOne({ code: order.affiliateCode });
+      if (!affiliate) return;
+      accrual = await addLedgerEntry({
+        affiliateCode: order.affiliateCode,
+        type: 'accrual',
+        amount: commissionFor(affiliate, order.amount),
+        currency: order.currency,
+        reference: order.reference,
+        orderAmount: order.amount,
+        dedupeKey: `accrual:${order.reference}`
+      }) || await AffiliateLedger.findOne({ dedupeKey: `accrual:${order.reference}` });
+      console.log(`🤝 Commission accrued for ${order.affiliateCode}: ${order.reference} (${accrual.amount})`);
+    }
+
+    // A chargeback takes the whole sale back, whatever was refunded so far
+    const lost = ['refunded', 'disputed'].includes(order.status);
+    const refunded = lost ? order.amount : Math.min(order.refund?.amount || 0, order.amount);
+    if (!refunded || !accrual.amount) return;
+
+    const target = Math.round(accrual.amount * refunded / order.amount);
+    const [{ reversed = 0 } = {}] = await AffiliateLedger.aggregate([
+      { $match: { reference: order.reference, type: 'reversal' } },
+      { $group: { _id: null, reversed: { $sum: { $multiply: ['$amount', -1] } } } }
+    ]);
+    if (target <= reversed) return;
+
+    await addLedgerEntry({
+      affiliateCode: order.affiliateCode,
+      type: 'reversal',
+      amount: -(target - reversed),
+      currency: order.currency,
+      reference: order.reference,
+      orderAmount: order.amount,
+      note: order.status === 'disputed' ? 'Disputed' : `Refunded ${refunded} of ${order.amount}`,
+      dedupeKey: `reversal:${order.reference}:${target}`
+    });
+    console.log(`🤝 Commission reversed for ${order.affiliateCode}: ${order.reference} (${target - reversed})`);
+  } catch (e) {
+    console.error(`❌ Affiliate commission sync failed for ${order.reference}:`, e.message);
+  }
+}
+
+// Per-affiliate totals from the ledger: { conversions, balances: [{ currency, accrued, reversed, paidOut, balance }] }
+async function affiliateSummaries(codes) {
+  const match = codes ? { affiliateCode: { $in: codes } } : {};
+  const rows = await AffiliateLedger.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { code: '$affiliateCode', currency: '$currency' },
+        conversions: { $sum: { $cond: [{ $eq: ['$type', 'accrual'] }, 1, 0] } },
+        accrued: { $sum: { $cond: [{ $eq: ['$type', 'accrual'] }, '$amount', 0] } },
+        reversed: { $sum: { $cond: [{ $eq: ['$type', 'reversal'] }, { $multiply: ['$amount', -1] }, 0] } },
+        paidOut: { $sum: { $cond: [{ $eq: ['$type', 'payout'] }, { $multiply: ['$amount', -1] }, 0] } },
+        balance: { $sum: '$amount' }
+      }
+    },
+    { $sort: { '_id.code': 1, '_id.currency': 1 } }
+  ]);
+
+  const summaries = new Map();
+  for (const { _id, conversions, ...totals } of rows) {
+    const summary = summaries.get(_id.code) || { conversions: 0, balances: [] };
+    summary.conversions += conversions;
+    summary.balances.push({ currency: _id.currency, ...totals });
+    summaries.set(_id.code, summary);
+  }
+  return summaries;
+}
+
+const hashAffiliateKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+const newAffiliateKey = () => `aff_${crypto.randomBytes(24).toString('hex')}`;
+
+const affiliateRateLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  key: (req) => `affiliate-ip:${req.ip}`
+});
+
+async function requireAffiliate(req, res, next) {
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const presented = req.headers['x-api-key'] || bearer;
+  if (!presented) {
+    return res.status(401).json({ ok: false, error: 'Affiliate key required' });
+  }
+
+  try {
+    const affiliate = await Affiliate.findOne({ apiKeyHash: hashAffiliateKey(presented), active: true });
+    if (!affiliate) {
+      return res.status(401).json({ ok: false, error: 'Invalid affiliate key' });
+    }
+    req.affiliate = affiliate;
+    next();
+  } catch (e) {
+    console.error('❌ affiliate auth error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+}
+
+// API: Affiliate dashboard - clicks, conversions, balance and recent ledger entries
+app.get('/api/affiliate/me', affiliateRateLimit, requireAffiliate, async (req, res) => {
+  try {
+    const { affiliate } = req;
+    const summary = (await affiliateSummaries([affiliate.code])).get(affiliate.code);
+    const ledger = await AffiliateLedger.find({ affiliateCode: affiliate.code })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200))
+      .select('type amount currency reference orderAmount note createdAt -_id');
+
+    res.json({
+      ok: true,
+      affiliate: {
+        code: affiliate.code,
+        name: affiliate.name,
+        commissionType: affiliate.commissionType,
+        commissionValue: affiliate.commissionValue,
+        link: `${SITE_URL || ''}/?ref=${encodeURIComponent(affiliate.code)}`
+      },
+      clicks: affiliate.clicks,
+      lastClickAt: affiliate.lastClickAt,
+      conversions: summary?.conversions || 0,
+      balances: summary?.balances || [],
+      ledger
+    });
+  } catch (e) {
+    console.error('❌ affiliate me error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * WhatsApp Cloud API - the guide goes straight to the number from /api/submit-phone
+ * Sends the approved WHATSAPP_TEMPLATE_NAME template; its body must take three
+ * parameters: {{1}} product name, {{2}} download link, {{3}} community/group link.
+ * Status webhooks (sent → delivered → read, or failed) land on order.whatsapp.
+ * If the send fails for good, the manual "Send the guide to" alert goes out instead.
+ * WHATSAPP_GRAPH_URL can point at tools/whatsapp-stub.js for local testing.
+ */
+const whatsappEnabled = () => config.integrations.whatsapp;
+const WHATSAPP_MAX_ATTEMPTS = 3; // ~1.5 min of retries before the manual fallback
+const WHATSAPP_STATUS_RANK = { accepted: 0, retrying: 0, sent: 1, delivered: 2, read: 3 };
+// Graph throttling codes come back as 400s but do clear up
+const WHATSAPP_RETRYABLE_CODES = [4, 80007, 130429, 131000, 131048, 131056];
+
+async function sendWhatsAppTemplate(to, bodyParams) {
+  try {
+    const { data } = await axios.post(
+      `${WHATSAPP_GRAPH_URL}/${FB_GRAPH_VERSION}/${WHATSAPP_PHONE_NUMBER_ID}/messages`,
+      {
+        messaging_product: 'whatsapp',
+        to: to.replace(/^\+/, ''),
+        type: 'template',
+        template: {
+          name: WHATSAPP_TEMPLATE_NAME,
+          language: { code: WHATSAPP_TEMPLATE_LANGUAGE },
+          components: [{ type: 'body', parameters: bodyParams.map((text) => ({ type: 'text', text })) }]
+        }
+      },
+      { headers: { Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}` }, timeout: 15000 }
+    );
+    const messageId = data?.messages?.[0]?.id;
+    if (!messageId) throw new Error(`WhatsApp returned no message id: ${JSON.stringify(data)}`);
+    return messageId;
+  } catch (err) {
+    if (!err.response) throw err;
+    const graphError = err.response.data?.error || {};
+    const wrapped = new Error(`WhatsApp ${err.response.status}: ${graphError.error_data?.details || graphError.message || 'send failed'}`);
+    wrapped.permanent = err.response.status < 500 && err.response.status !== 429 && !WHATSAPP_RETRYABLE_CODES.includes(graphError.code);
+    throw wrapped;
+  }
+}
+
+// Template parameters can't be empty, so missing links become a dash
+function whatsappGuideParams(order, product) {
+  return [
+    order.productName || product?.name || 'your guide',
+    downloadUrl(order) || '-',
+    product?.communityUrl || WHATSAPP_GROUP_URL || '-'
+  ];
+}
+
+// Hand the delivery back to a human: the order.phone alert, with the reason
+async function whatsappFallback(order, reason) {
+  if (order.whatsapp?.fallbackAt) return;
+  order.whatsapp = { ...order.whatsapp, fallbackAt: new Date() };
+  await order.save();
+  await notify('order.phone', order, {
+    variant: String(order.phoneHistory.length),
+    params: { whatsappError: reason }
+  });
+}
+
+// One status from a webhook; statuses for older messages / other apps are ignored
+async function applyWhatsAppStatus(status) {
+  const order = await Order.findOne({ 'whatsapp.messageId': status.id });
+  if (!order) return false;
+
+  const at = status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date();
+  const current = order.whatsapp.status;
+
+  if (status.status === 'failed') {
+    if (current === 'failed') return true;
+    const error = status.errors?.[0];
+    order.whatsapp = {
+      ...order.whatsapp,
+      status: 'failed',
+      failedAt: at,
+      error: error ? `${error.code}: ${error.error_data?.details || error.title || error.message}` : 'Delivery failed'
+    };
+    await order.save();
+    console.error(`❌ WhatsApp guide for ${order.reference} failed: ${order.whatsapp.error}`);
+    await whatsappFallback(order, order.whatsapp.error);
+    return true;
+  }
+
+  const rank = WHATSAPP_STATUS_RANK[status.status];
+  if (rank == null || current === 'failed') return true;
+  // Statuses can arrive out of order; keep every timestamp, never move backwards
+  const field = `${status.status}At`;
+  if (!order.whatsapp[field]) order.whatsapp[field] = at;
+  if (rank > (WHATSAPP_STATUS_RANK[current] ?? -1)) order.whatsapp.status = status.status;
+  order.markModified('whatsapp');
+  await order.save();
+  return true;
+}
+
+// Meta's subscription handshake
+app.get('/webhooks/whatsapp', (req, res) => {
+  if (!whatsappEnabled()) return res.status(404).send('WhatsApp not configured');
+  if (req.query['hub.mode'] === 'subscribe' && safeEqual(String(req.query['hub.verify_token'] || ''), WHATSAPP_VERIFY_TOKEN)) {
+    return res.type('text/plain').send(String(req.query['hub.challenge'] || ''));
+  }
+  res.sendStatus(403);
+});
+
+// Message status updates; statuses are idempotent, so they're applied inline
+app.post('/webhooks/whatsapp', async (req, res) => {
+  if (!whatsappEnabled()) return res.status(404).send('WhatsApp not configured');
+
+  const expected = `sha256=${crypto.createHmac('sha256', WHATSAPP_APP_SECRET).update(req.rawBody || '').digest('hex')}`;
+  if (!safeEqual(req.headers['x-hub-signature-256'], expected)) {
+    console.error('❌ Invalid WhatsApp webhook signature');
+    return res.status(401).send('Invalid signature');
+  }
+
+  const statuses = (req.body?.entry || [])
+    .flatMap((entry) => entry.changes || [])
+    .flatMap((change) => change.value?.statuses || []);
+
+  try {
+    for (const status of statuses) {
+      await applyWhatsAppStatus(status);
+    }
+    res.sendStatus(200);
+  } catch (e) {
+    // Meta retries non-2xx deliveries
+    console.error('❌ WhatsApp webhook error:', e.message);
+    res.sendStatus(500);
+  }
+});
+
+// API: Submit WhatsApp Phone Number (same ref+token pair as /api/order/confirm)
+app.post('/api/submit-phone', phoneIpLimit, phoneOrderLimit, async (req, res) => {
+  try {
+    const { reference, token, phone } = req.body || {};
+    
+    if (!reference || !token || !phone) {
+      return res.status(400).json({ ok: false, error: 'Reference, token and phone required' });
+    }
+    
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      return res.status(400).json({ ok: false, error: 'Valid phone number required (e.g. 0803 123 4567 or +234 803 123 4567)' });
+    }
+    
+    const order = await Order.findOne({ reference });
+    const denied = orderAccessError(order, token);
+    if (denied) {
+      return res.status(denied.status).json({ ok: false, error: denied.error });
+    }
+    
+    if (order.phone === normalized) {
+      return res.json({ ok: true, message: 'Phone number received', phone: normalized, changed: false });
+    }
+    
+    order.phoneHistory.push({ phone: normalized, previous: order.phone, ip: req.ip });
+    order.phone = normalized;
+    await order.save();
+    
+    console.log(`📱 Phone number ${order.phoneHistory.length > 1 ? 'updated' : 'collected'} for ${reference}: ${normalized}`);
+    
+    // One send / notice per change; history length keeps the dedupe keys unique
+    const dedupeSuffix = `${reference}:${order.phoneHistory.length}`;
+    let whatsappQueued = false;
+    let notificationsQueued = 0;
+    if (whatsappEnabled()) {
+      const job = await enqueueJobSafe('whatsapp.guide', { reference, phone: normalized }, {
+        dedupeKey: `whatsapp.guide:${dedupeSuffix}`,
+        maxAttempts: WHATSAPP_MAX_ATTEMPTS
+      });
+      whatsappQueued = Boolean(job);
+    }
+    // Without automatic delivery, a human sends the guide
+    if (!whatsappQueued) {
+      notificationsQueued = await notify('order.phone', order, { variant: String(order.phoneHistory.length) });
+    }
+    
+    // The new ph hash for better matching, as its own event (see trackPhoneUpdateEvent)
+    await trackPhoneUpdateEvent(order).catch((e) => console.error(`❌ CAPI phone update failed for ${reference}:`, e.message));
+    
+    res.json({ 
+      ok: true, 
+      message: 'Phone number received',
+      phone: normalized,
+      changed: true,
+      whatsappQueued,
+      notificationsQueued
+    });
+    
+  } catch (e) {
+    console.error('❌ submit-phone error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Order actions shared by the admin API and the Telegram bot
+ * Rejections throw orderActionError(status, message) so each caller can word its own reply
+ */
+function orderActionError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+// Fresh paycomplete link + download grant, receipt email re-queued; notify: false skips re-posting the sale
+async function resendOrderDelivery(order, { notify: renotify = true } = {}) {
+  if (!DELIVERABLE_STATUSES.includes(order.status) || order.accessRevokedAt) {
+    throw orderActionError(409, `Cannot deliver an order in status ${order.status}`);
+  }
+
+  const token = issueSuccessToken(order, RESEND_TOKEN_TTL_MS);
+  await order.save();
+  await ensureDownloadGrant(order);
+
+  const notificationsQueued = renotify
+    ? await notify('order.paid', order, { variant: `resend:${Date.now()}` })
+    : 0;
+  const mailJob = mailEnabled()
+    ? await enqueueJobSafe('email.receipt', { reference: order.reference, resend: true })
+    : null;
+
+  return {
+    emailQueued: Boolean(mailJob),
+    link: `${SITE_URL || ''}/paycomplete.html?ref=${encodeURIComponent(order.reference)}&token=${encodeURIComponent(token)}`,
+    expiresAt: order.tokenExpiresAt,
+    notificationsQueued
+  };
+}
+
+// Ask the provider that charged the order for a refund (amount in kobo; default: all that's left)
+async function requestOrderRefund(order, { amount, reason, actor }) {
+  if (!canTransition(order.status, 'refund_pending')) {
+    throw orderActionError(409, `Cannot refund an order in status ${order.status}`);
+  }
+
+  const refundable = order.amount - (order.refund?.amount || 0);
+  const refundAmount = amount == null ? refundable : Number(amount);
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw orderActionError(400, `Refund amount must be between 1 and ${refundable} kobo`);
+  }
+
+  const provider = getProvider(order.provider);
+  // Older orders never stored the provider's transaction id
+  if (!order.providerTransactionId) {
+    const tx = await provider.verify(order.reference);
+    order.providerTransactionId = tx.transactionId;
+  }
+
+  let refund;
+  try {
+    refund = await provider.refund({
+      reference: order.reference,
+      transactionId: order.providerTransactionId,
+      amount: refundAmount,
+      reason
+    });
+  } catch (err) {
+    console.error(`❌ ${provider.name} refund failed:`, err.details || err.response?.data || err.message);
+    throw orderActionError(502, `${provider.name} refund failed`, err.details || err.response?.data);
+  }
+
+  transitionOrder(order, 'refund_pending', { actor, note: reason });
+  order.refund = {
+    ...order.refund,
+    status: 'pending',
+    requestedAmount: refundAmount,
+    providerRefundId: refund.id || '',
+    reason,
+    error: null,
+    updatedAt: new Date()
+  };
+  await order.save();
+
+  console.log(`💸 Refund requested: ${order.reference} (${refundAmount}) by ${actor}`);
+  notifyRefund(order, 'requested');
+  return order.refund;
+}
+
+/**
+ * Admin API (/api/admin/*)
+ * Auth: `x-api-key: <key>` or `Authorization: Bearer <key>`
+ * Keys come from ADMIN_API_KEYS ("name:key,name:key") and/or ADMIN_API_KEY
+ */
+const adminKeys = [
+  ...(ADMIN_API_KEYS || '').split(',').map((entry) => {
+    const [name, ...rest] = entry.trim().split(':');
+    return { name, key: rest.join(':') };
+  }),
+  { name: 'admin', key: ADMIN_API_KEY }
+].filter((k) => k.name && k.key);
+
+function requireAdmin(req, res, next) {
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const presented = req.headers['x-api-key'] || bearer;
+  const match = presented && adminKeys.find((k) => safeEqual(presented, k.key));
+
+  if (!match) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  req.admin = { name: match.name, actor: `admin:${match.name}` };
+  next();
+}
+
+// Failed key guesses per IP. Runs ahead of requireAdmin and only counts 401s, so a
+// mistyped key is fine but brute force gets locked out for the rest of the window
+const ADMIN_AUTH_FAIL_MAX = 10;
+const adminAuthFailStore = createCounterStore(15 * 60 * 1000);
+
+async function adminAuthFailLimit(req, res, next) {
+  const k = `admin-auth-fail:${req.ip}`;
+  try {
+    const bucket = await adminAuthFailStore.peek(k);
+    if (bucket.count >= ADMIN_AUTH_FAIL_MAX) {
+      const retryAfter = Math.max(Math.ceil((bucket.resetAt - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      console.warn(`🚦 Rate limited ${k} (${bucket.count}/${ADMIN_AUTH_FAIL_MAX})`);
+      return res.status(429).json({ ok: false, error: 'Too many failed attempts. Please try again later.', code: 'RATE_LIMITED', retryAfter });
+    }
+  } catch (e) {
+    console.error('❌ Rate limit store error:', e.message);
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode !== 401) return;
+    adminAuthFailStore.hit(k).catch((e) => console.error('❌ Rate limit store error:', e.message));
+  });
+  next();
+}
+
+const adminRateLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 120,
+  key: (req) => req.admin?.actor || req.ip
+});
+
+// Notification webhook URLs, secrets and keys are credentials; the log keeps only that they were sent
+const AUDIT_REDACTED_KEYS = /url|secret|token|password|key/i;
+
+function redactAuditBody(value) {
+  if (Array.isArray(value)) return value.map(redactAuditBody);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => (
+    [k, AUDIT_REDACTED_KEYS.test(k) && v != null && v !== '' ? '[redacted]' : redactAuditBody(v)]
+  )));
+}
+
+// Write every mutating admin call to the audit log once the response is sent
+function auditAdmin(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD') return next();
+
+  res.on('finish', () => {
+    AdminAuditLog.create({
+      actor: req.admin?.actor,
+      action: `${req.method} ${req.route?.path || req.path}`,
+      method: req.method,
+      path: req.originalUrl,
+      target: req.params?.reference,
+      body: redactAuditBody(req.body),
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch((e) => console.error('❌ Audit log write failed:', e.message));
+  });
+  next();
+}
+
+const admin = express.Router();
+admin.use(adminAuthFailLimit, requireAdmin, adminRateLimit, auditAdmin);
+app.use('/api/admin', admin);
+
+// Admin: Search orders
+admin.get('/orders', async (req, res) => {
+  try {
+    const { email, phone, reference, status, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+
+    const filter = {};
+    if (email) filter.email = new RegExp(escapeRegex(normalizeEmail(email)), 'i');
+    if (phone) {
+      // Stored as E.164, so match on the digits after the country code / trunk 0
+      const e164 = normalizePhone(String(phone));
+      const digits = e164 ? e164.slice(1) : String(phone).replace(/\D/g, '').replace(/^0/, '');
+      filter.phone = new RegExp(escapeRegex(digits));
+    }
+    if (reference) filter.reference = new RegExp(`^${escapeRegex(reference)}`);
+    if (status) filter.status = { $in: String(status).split(',') };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some((d) => isNaN(d))) {
+        return res.status(400).json({ ok: false, error: 'from/to must be valid dates' });
+      }
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('reference email phone productId productName amount currency status verifiedAt createdAt capi.sent'),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({ ok: true, page, limit, total, pages: Math.ceil(total / limit), orders });
+  } catch (e) {
+    console.error('❌ admin orders error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Order detail (incl. capi / history / notification deliveries)
+admin.get('/orders/:reference', async (req, res) => {
+  try {
+    const order = await Order.findOne({ reference: req.params.reference }).select('-successToken');
+    if (!order) {
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+    const notifications = await NotificationDelivery.find({ reference: order.reference }).sort({ createdAt: 1 });
+    res.json({ ok: true, order, notifications });
+  } catch (e) {
+    console.error('❌ admin order error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Manual status override (force skips the state machine)
+admin.post('/orders/:reference/status', async (req, res) => {
+  try {
+    const { status, note, force } = req.body || {};
+    if (!ORDER_TRANSITIONS[status]) {
+      return res.status(400).json({ ok: false, error: `Unknown status: ${status}` });
+    }
+
+    const order = await Order.findOne({ reference: req.params.reference });
+    if (!order) {
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+
+    if (force === true) {
+      setOrderStatus(order, status, { actor: req.admin.actor, note: `[forced] ${note || ''}`.trim() });
+    } else {
+      transitionOrder(order, status, { actor: req.admin.actor, note });
+    }
+    if (status === 'success' && !order.verifiedAt) order.verifiedAt = new Date();
+    await order.save();
+    if (status === 'success') await onOrderPaid(order);
+    if (['refunded', 'partially_refunded', 'disputed'].includes(status)) await syncAffiliateCommission(order);
+
+    console.log(`🛠️ ${req.admin.actor} set ${order.reference} → ${status}`);
+    res.json({ ok: true, status: order.status, history: order.history });
+  } catch (e) {
+    if (e.code === 'ILLEGAL_TRANSITION') {
+      return res.status(409).json({ ok: false, error: e.message });
+    }
+    console.error('❌ admin status error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Resend delivery info - fresh paycomplete link + sale notification
+admin.post('/orders/:reference/resend', async (req, res) => {
+  try {
+    const order = await Order.findOne({ reference: req.params.reference });
+    if (!order) {
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+
+    const result = await resendOrderDelivery(order);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    if (e.status) {
+      return res.status(e.status).json({ ok: false, error: e.message });
+    }
+    console.error('❌ admin resend error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Refund an order through the provider that charged it
+admin.post('/orders/:reference/refund', async (req, res) => {
+  try {
+    const { amount, reason } = req.body || {};
+
+    const order = await Order.findOne({ reference: req.params.reference });
+    if (!order) {
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+
+    const refund = await requestOrderRefund(order, { amount, reason, actor: req.admin.actor });
+    res.json({ ok: true, status: order.status, refund });
+  } catch (e) {
+    if (e.status) {
+      return res.status(e.status).json({ ok: false, error: e.message, details: e.details });
+    }
+    if (e.code === 'ILLEGAL_TRANSITION') {
+      return res.status(409).json({ ok: false, error: e.message });
+    }
+    console.error('❌ refund error:', e.response?.data || e.message);
+    res.status(500).json({ ok: false, error: 'Refund failed' });
+  }
+});
+
+// Admin: Revoke the buyer's download link
+admin.post('/orders/:reference/download/revoke', async (req, res) => {
+  try {
+    const order = await Order.findOne({ reference: req.params.reference });
+    if (!order) {
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+    if (!order.download?.grantId) {
+      return res.status(409).json({ ok: false, error: 'No download link issued yet' });
+    }
+
+    order.download.revokedAt = new Date();
+    order.history.push({ from: order.status, to: order.status, actor: req.admin.actor, note: 'Download link revoked' });
+    await order.save();
+
+    res.json({ ok: true, download: order.download });
+  } catch (e) {
+    console.error('❌ admin revoke error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Reissue a fresh download link (old links stop working)
+admin.post('/orders/:reference/download/reissue', async (req, res) => {
+  try {
+    const { ttlHours, maxDownloads } = req.body || {};
+    const order = await Order.findOne({ reference: req.params.reference });
+    if (!order) {
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+    if (!DELIVERABLE_STATUSES.includes(order.status) || order.accessRevokedAt) {
+      return res.status(409).json({ ok: false, error: `Cannot deliver an order in status ${order.status}` });
+    }
+
+    order.history.push({ from: order.status, to: order.status, actor: req.admin.actor, note: 'Download link reissued' });
+    const url = await ensureDownloadGrant(order, {
+      force: true,
+      ttlHours: Number(ttlHours) || undefined,
+      maxDownloads: Number(maxDownloads) || undefined
+    });
+
+    res.json({ ok: true, url, download: order.download });
+  } catch (e) {
+    console.error('❌ admin reissue error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Audit log
+admin.get('/audit', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = {};
+    if (req.query.target) filter.target = req.query.target;
+    if (req.query.actor) filter.actor = req.query.actor;
+
+    const entries = await AdminAuditLog.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ ok: true, entries });
+  } catch (e) {
+    console.error('❌ admin audit error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: List jobs (default: dead-letter queue)
+admin.get('/jobs', async (req, res) => {
+  try {
+    const filter = { status: req.query.status || 'dead' };
+    if (req.query.type) filter.type = req.query.type;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter).sort({ updatedAt: -1 }).limit(limit),
+      Job.countDocuments(filter)
+    ]);
+    res.json({ ok: true, total, jobs });
+  } catch (e) {
+    console.error('❌ admin jobs error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Replay dead jobs - one by id, or all (optionally by type)
+admin.post('/jobs/replay', async (req, res) => {
+  try {
+    const { id, type } = req.body || {};
+    const filter = { status: 'dead' };
+    if (id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ ok: false, error: 'Invalid job id' });
+      }
+      filter._id = id;
+    }
+    if (type) filter.type = type;
+
+    const result = await Job.updateMany(filter, {
+      $set: { status: 'pending', attempts: 0, runAt: new Date(), lastError: null }
+    });
+    setImmediate(kickJobWorker);
+
+    console.log(`🔁 ${req.admin.actor} replayed ${result.modifiedCount} dead job(s)`);
+    res.json({ ok: true, replayed: result.modifiedCount });
+  } catch (e) {
+    console.error('❌ admin replay error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Run reconciliation now (dryRun reports without changing orders)
+admin.post('/reconcile', async (req, res) => {
+  try {
+    const { dryRun, olderThanMinutes, limit } = req.body || {};
+    const run = await reconcileStaleOrders({
+      dryRun: dryRun === true,
+      olderThanMinutes: Number(olderThanMinutes) || undefined,
+      limit: Math.min(Number(limit) || 100, 500),
+      actor: req.admin.actor
+    });
+    res.json({ ok: true, run });
+  } catch (e) {
+    console.error('❌ admin reconcile error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Recent reconciliation reports
+admin.get('/reconcile/runs', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = req.query.discrepancies === 'true' ? { 'discrepancies.0': { $exists: true } } : {};
+    const runs = await ReconciliationRun.find(filter).sort({ startedAt: -1 }).limit(limit);
+    res.json({ ok: true, runs });
+  } catch (e) {
+    console.error('❌ admin reconcile runs error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Abandoned checkout sequences (?status=active|converted|completed|stopped&email=)
+admin.get('/cart-recovery', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.email) filter.email = normalizeEmail(req.query.email);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [sequences, total] = await Promise.all([
+      CheckoutRecovery.find(filter).sort({ createdAt: -1 }).limit(limit),
+      CheckoutRecovery.countDocuments(filter)
+    ]);
+    res.json({ ok: true, total, sequences });
+  } catch (e) {
+    console.error('❌ admin cart recovery error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Scan for abandoned checkouts now instead of waiting for the next slot
+admin.post('/cart-recovery/scan', async (req, res) => {
+  if (!CART_RECOVERY_ENABLED) {
+    return res.status(409).json({ ok: false, error: 'Cart recovery is disabled (set CART_RECOVERY_ENABLED)' });
+  }
+  try {
+    res.json({ ok: true, ...(await scanAbandonedCheckouts()) });
+  } catch (e) {
+    console.error('❌ admin cart recovery scan error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Replace a product's price tiers ([] clears them); returns the price now in effect
+admin.put('/products/:productId/price-tiers', async (req, res) => {
+  try {
+    const { tiers, error } = parsePriceTiers(req.body?.priceTiers);
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { productId: req.params.productId },
+      { $set: { priceTiers: tiers } },
+      { new: true, runValidators: true }
+    );
+    if (!product) {
+      return res.status(404).json({ ok: false, error: 'Product not found' });
+    }
+
+    console.log(`🏷️ ${req.admin.actor} set ${tiers.length} price tier(s) on ${product.productId}`);
+    res.json({ ok: true, priceTiers: product.priceTiers, product: publicProduct(product, await currentPricing(product)) });
+  } catch (e) {
+    console.error('❌ admin price tiers error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Payment provider settings and health
+admin.get('/payments', async (req, res) => {
+  try {
+    const settings = await getPaymentSettings();
+    const health = Object.keys(providers).map((name) => ({
+      provider: name,
+      recentFailures: providerHealth[name]?.failures?.length || 0,
+      lastError: providerHealth[name]?.lastError || null,
+      trippedUntil: providerTripped(name) ? new Date(providerHealth[name].trippedUntil) : null
+    }));
+    res.json({ ok: true, settings, configured: Object.keys(providers), health });
+  } catch (e) {
+    console.error('❌ admin payments error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+admin.put('/payments', async (req, res) => {
+  try {
+    const { primary, fallback, autoFailover, failureThreshold, cooldownMinutes, resetHealth } = req.body || {};
+    const current = await getPaymentSettings();
+
+    if (primary !== undefined && !providers[primary]) {
+      return res.status(400).json({ ok: false, error: `Provider not configured: ${primary}` });
+    }
+    if (fallback && !providers[fallback]) {
+      return res.status(400).json({ ok: false, error: `Provider not configured: ${fallback}` });
+    }
+
+    const value = {
+      primary: primary ?? current.primary,
+      fallback: fallback === undefined ? current.fallback : (fallback || null),
+      autoFailover: autoFailover === undefined ? current.autoFailover : Boolean(autoFailover),
+      failureThreshold: Math.max(parseInt(failureThreshold ?? current.failureThreshold, 10) || 1, 1),
+      cooldownMinutes: Math.max(Number(cooldownMinutes ?? current.cooldownMinutes) || 0, 0)
+    };
+
+    await Setting.findOneAndUpdate(
+      { key: 'payments' },
+      { $set: { value, updatedBy: req.admin.actor } },
+      { upsert: true }
+    );
+    paymentSettingsCache = null;
+    if (resetHealth) Object.keys(providerHealth).forEach((name) => delete providerHealth[name]);
+
+    console.log(`💳 Payment settings updated by ${req.admin.actor}: primary ${value.primary}, fallback ${value.fallback || 'none'}`);
+    res.json({ ok: true, settings: value });
+  } catch (e) {
+    console.error('❌ admin payments update error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Webhook URLs and secrets are credentials: show enough to recognise them, not reuse them
+function publicDestination(destination) {
+  const { secret, url, ...rest } = destination;
+  return {
+    ...rest,
+    ...(url ? { url: `${new URL(url).origin}/…${url.slice(-4)}` } : {}),
+    hasSecret: Boolean(secret)
+  };
+}
+
+// Admin: Notification routing (destinations + the events each one receives)
+admin.get('/notifications', async (req, res) => {
+  try {
+    const settings = await getNotificationSettings();
+    res.json({
+      ok: true,
+      destinations: settings.destinations.map(publicDestination),
+      events: NOTIFY_EVENTS,
+      types: Object.keys(notificationChannels)
+    });
+  } catch (e) {
+    console.error('❌ admin notifications error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Replaces the whole list; url/secret left out keep their saved values for the same id
+admin.put('/notifications', async (req, res) => {
+  try {
+    const { destinations } = req.body || {};
+    if (!Array.isArray(destinations)) {
+      return res.status(400).json({ ok: false, error: 'destinations must be an array' });
+    }
+
+    const current = await getNotificationSettings();
+    const saved = new Map(current.destinations.map((d) => [d.id, d]));
+    const problems = [];
+    const seen = new Set();
+
+    const value = destinations.map((input, i) => {
+      const id = String(input?.id || '').trim();
+      const previous = saved.get(id) || {};
+      const destination = {
+        id,
+        type: input?.type,
+        events: Array.isArray(input?.events) ? input.events.map(String) : [],
+        enabled: input?.enabled !== false
+      };
+      if (input?.chatId != null) destination.chatId = String(input.chatId).trim();
+      if (input?.format) destination.format = String(input.format);
+      const url = input?.url ?? previous.url;
+      const secret = input?.secret ?? previous.secret;
+      if (url) destination.url = String(url).trim();
+      if (secret) destination.secret = String(secret);
+
+      const label = id || `#${i + 1}`;
+      if (!/^[a-z0-9_-]{1,32}$/.test(id)) problems.push(`${label}: id must be 1-32 of a-z 0-9 _ -`);
+      if (seen.has(id)) problems.push(`${label}: duplicate id`);
+      seen.add(id);
+      if (!destination.events.length) problems.push(`${label}: events must list at least one event (or "*")`);
+      destination.events.filter((e) => e !== '*' && !NOTIFY_EVENTS.includes(e))
+        .forEach((e) => problems.push(`${label}: unknown event ${e}`));
+
+      const channel = notificationChannels[destination.type];
+      const invalid = channel ? channel.validate(destination) : `type must be one of ${Object.keys(notificationChannels).join(', ')}`;
+      if (invalid) problems.push(`${label}: ${invalid}`);
+      return destination;
+    });
+
+    if (problems.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid destinations', problems });
+    }
+
+    await Setting.findOneAndUpdate(
+      { key: 'notifications' },
+      { $set: { value: { destinations: value }, updatedBy: req.admin.actor } },
+      { upsert: true }
+    );
+    notificationSettingsCache = null;
+
+    console.log(`🔔 Notification routing updated by ${req.admin.actor}: ${value.map((d) => `${d.id}(${d.events.join(',')})`).join(' ') || 'none'}`);
+    res.json({ ok: true, destinations: value.map(publicDestination) });
+  } catch (e) {
+    console.error('❌ admin notifications update error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Send a test message to one destination, right away
+admin.post('/notifications/test', async (req, res) => {
+  try {
+    const { destinationId } = req.body || {};
+    const destination = (await getNotificationSettings()).destinations.find((d) => d.id === destinationId);
+    if (!destination) {
+      return res.status(404).json({ ok: false, error: `Unknown destination: ${destinationId}` });
+    }
+
+    const delivery = await NotificationDelivery.create({
+      key: `test::${Date.now()}:${destination.id}`,
+      event: 'test',
+      destinationId: destination.id,
+      destinationType: destination.type,
+      params: { destinationId: destination.id, actor: req.admin.actor }
+    });
+
+    try {
+      await deliverNotification(delivery, null);
+    } catch (err) {
+      // Already recorded on the delivery
+    }
+    res.status(delivery.status === 'sent' ? 200 : 502).json({ ok: delivery.status === 'sent', delivery });
+  } catch (e) {
+    console.error('❌ admin notification test error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Per-destination delivery status
+admin.get('/notifications/deliveries', async (req, res) => {
+  try {
+    const { reference, destinationId, event, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (reference) filter.reference = String(reference);
+    if (destinationId) filter.destinationId = String(destinationId);
+    if (event) filter.event = String(event);
+    if (status) filter.status = { $in: String(status).split(',') };
+
+    const deliveries = await NotificationDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ ok: true, deliveries });
+  } catch (e) {
+    console.error('❌ admin notification deliveries error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Retry a failed / skipped delivery with a fresh job
+admin.post('/notifications/deliveries/:id/retry', async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.id) && await NotificationDelivery.findById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ ok: false, error: 'Delivery not found' });
+    }
+    if (delivery.status === 'sent' || delivery.event === 'test') {
+      return res.status(409).json({ ok: false, error: `Cannot retry a ${delivery.event === 'test' ? 'test' : 'sent'} delivery` });
+    }
+
+    delivery.status = 'pending';
+    await delivery.save();
+    const job = await enqueueJob('notify.deliver', { deliveryId: String(delivery._id) }, {
+      dedupeKey: `notify:${delivery.key}:retry:${Date.now()}`
+    });
+
+    console.log(`🔔 ${req.admin.actor} retried ${delivery.event} → ${delivery.destinationId} for ${delivery.reference}`);
+    res.json({ ok: true, delivery, jobId: job?._id });
+  } catch (e) {
+    console.error('❌ admin notification retry error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Create an affiliate - the API key is only returned here
+admin.post('/affiliates', async (req, res) => {
+  try {
+    const { code, name, email, commissionType = 'percent', commissionValue = 20 } = req.body || {};
+    const normalized = String(code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{2,32}$/.test(normalized) || !name) {
+      return res.status(400).json({ ok: false, error: 'code (2-32 letters, digits, - or _) and name are required' });
+    }
+    if (!['percent', 'fixed'].includes(commissionType) || !(Number(commissionValue) >= 0)) {
+      return res.status(400).json({ ok: false, error: 'commissionType must be percent or fixed with a non-negative commissionValue' });
+    }
+
+    const apiKey = newAffiliateKey();
+    const affiliate = await Affiliate.create({
+      code: normalized,
+      name,
+      email: email ? normalizeEmail(email) : undefined,
+      commissionType,
+      commissionValue: Number(commissionValue),
+      apiKeyHash: hashAffiliateKey(apiKey)
+    });
+
+    res.status(201).json({ ok: true, affiliate, apiKey });
+  } catch (e) {
+    if (e.code === 11000) {
+      return res.status(409).json({ ok: false, error: 'Affiliate code already exists' });
+    }
+    console.error('❌ admin affiliate create error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Rotate an affiliate's API key
+admin.post('/affiliates/:code/key', async (req, res) => {
+  try {
+    const apiKey = newAffiliateKey();
+    const affiliate = await Affiliate.findOneAndUpdate(
+      { code: req.params.code.toUpperCase() },
+      { $set: { apiKeyHash: hashAffiliateKey(apiKey) } },
+      { new: true }
+    );
+    if (!affiliate) {
+      return res.status(404).json({ ok: false, error: 'Affiliate not found' });
+    }
+    res.json({ ok: true, code: affiliate.code, apiKey });
+  } catch (e) {
+    console.error('❌ admin affiliate key error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Affiliates with clicks, conversions and balances
+admin.get('/affiliates', async (req, res) => {
+  try {
+    const affiliates = await Affiliate.find().sort({ createdAt: -1 }).select('-apiKeyHash');
+    const summaries = await affiliateSummaries();
+    res.json({
+      ok: true,
+      affiliates: affiliates.map((a) => ({ ...a.toObject(), conversions: 0, balances: [], ...summaries.get(a.code), _id: a._id }))
+    });
+  } catch (e) {
+    console.error('❌ admin affiliates error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Payout export - one row per affiliate and currency owed at least ?min= (format=json|csv)
+admin.get('/affiliates/payouts', async (req, res) => {
+  try {
+    const min = Math.max(Number(req.query.min) || 1, 1);
+    const summaries = await affiliateSummaries();
+    const owed = [...summaries].flatMap(([code, s]) =>
+      s.balances.filter((b) => b.balance >= min).map((b) => ({ code, conversions: s.conversions, ...b })));
+    const affiliates = await Affiliate.find({ code: { $in: owed.map((o) => o.code) } });
+    const byCode = new Map(affiliates.map((a) => [a.code, a]));
+
+    const rows = owed.map((o) => ({
+      code: o.code,
+      name: byCode.get(o.code)?.name,
+      email: byCode.get(o.code)?.email,
+      conversions: o.conversions,
+      currency: o.currency,
+      accrued: o.accrued,
+      reversed: o.reversed,
+      paidOut: o.paidOut,
+      balance: o.balance
+    })).sort((a, b) => a.currency.localeCompare(b.currency) || b.balance - a.balance);
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="affiliate-payouts-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(toCsv(rows, ['code', 'name', 'email', 'conversions', 'currency', 'accrued', 'reversed', 'paidOut', 'balance']));
+    }
+    res.json({ ok: true, rows });
+  } catch (e) {
+    console.error('❌ admin affiliate payouts error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Record a payout (defaults to the full balance)
+admin.post('/affiliates/:code/payouts', async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const { amount, note, payoutId } = req.body || {};
+    const balances = (await affiliateSummaries([code])).get(code)?.balances || [];
+    // Currency can be left out when the affiliate is only owed in one
+    const owed = balances.filter((b) => b.balance > 0);
+    const currency = req.body?.currency || (owed.length === 1 ? owed[0].currency : null);
+    if (!currency) {
+      return res.status(400).json({ ok: false, error: `currency is required (owed in ${owed.map((b) => b.currency).join(', ') || 'nothing'})` });
+    }
+    const balance = balances.find((b) => b.currency === currency)?.balance || 0;
+    const payout = amount == null ? balance : Number(amount);
+
+    if (!Number.isInteger(payout) || payout <= 0 || payout > balance) {
+      return res.status(400).json({ ok: false, error: `Payout must be between 1 and ${balance} ${currency} minor units` });
+    }
+
+    // payoutId lets a retried request be recorded once
+    const entry = await addLedgerEntry({
+      affiliateCode: code,
+      type: 'payout',
+      amount: -payout,
+      currency,
+      note,
+      actor: req.admin.actor,
+      dedupeKey: `payout:${code}:${payoutId || uuidv4()}`
+    });
+    if (!entry) {
+      return res.status(409).json({ ok: false, error: 'Payout already recorded' });
+    }
+
+    console.log(`🤝 ${req.admin.actor} recorded payout of ${payout} ${currency} to ${code}`);
+    res.json({ ok: true, entry, currency, balance: balance - payout });
+  } catch (e) {
+    console.error('❌ admin affiliate payout error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Sales analytics (admin)
+ * All endpoints take from/to (default: last 30 days), interval=day|week,
+ * tz (default Africa/Lagos) and format=json|csv
+ */
+const ANALYTICS_TZ = 'Africa/Lagos';
+
+function parseAnalyticsQuery(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to)) throw new Error('from/to must be valid dates');
+
+  const interval = query.interval === 'week' ? 'week' : 'day';
+  const tz = query.tz || ANALYTICS_TZ;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+  } catch (e) {
+    throw new Error(`Unknown timezone: ${tz}`);
+  }
+
+  return { from, to, interval, tz, format: query.format === 'csv' ? 'csv' : 'json' };
+}
+
+// Bucket start for a date field, in the requested timezone (MongoDB 5+)
+function bucketExpr(field, { interval, tz }) {
+  return {
+    $dateToString: {
+      format: '%Y-%m-%d',
+      date: {
+        $dateTrunc: {
+          date: field,
+          unit: interval,
+          timezone: tz,
+          ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+        }
+      },
+      timezone: tz
+    }
+  };
+}
+
+function toCsv(rows, columns) {
+  const cell = (v) => {
+    let str = v == null ? '' : String(v);
+    // Spreadsheets run text starting with = + - @ as a formula (campaign names, emails...);
+    // real numbers such as a negative net stay numbers
+    if (typeof v !== 'number' && /^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(','), ...rows.map((row) => columns.map((c) => cell(row[c])).join(','))].join('\n');
+}
+
+function sendAnalytics(res, params, name, rows, columns, extra = {}) {
+  if (params.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}-${params.from.toISOString().slice(0, 10)}-${params.to.toISOString().slice(0, 10)}.csv"`);
+    return res.send(toCsv(rows, columns));
+  }
+  res.json({
+    ok: true,
+    from: params.from,
+    to: params.to,
+    interval: params.interval,
+    tz: params.tz,
+    ...extra,
+    rows
+  });
+}
+
+// Admin: Revenue per day/week (gross, refunded, net in kobo)
+admin.get('/analytics/revenue', async (req, res) => {
+  let params;
+  try {
+    params = parseAnalyticsQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  try {
+    const paidAt = { $ifNull: ['$verifiedAt', '$createdAt'] };
+    const rows = await Order.aggregate([
+      { $match: { status: { $in: PAID_STATUSES }, createdAt: { $lte: params.to } } },
+      { $addFields: { paidAt } },
+      { $match: { paidAt: { $gte: params.from, $lte: params.to } } },
+      {
+        $group: {
+          _id: { bucket: bucketExpr('$paidAt', params), currency: '$currency' },
+          orders: { $sum: 1 },
+          gross: { $sum: '$amount' },
+          discounts: { $sum: { $ifNull: ['$discount', 0] } },
+          refunded: { $sum: { $ifNull: ['$refund.amount', 0] } }
+        }
+      },
+      { $sort: { '_id.bucket': 1, '_id.currency': 1 } },
+      {
+        $project: {
+          _id: 0,
+          bucket: '$_id.bucket',
+          currency: '$_id.currency',
+          orders: 1,
+          gross: 1,
+          discounts: 1,
+          refunded: 1,
+          net: { $subtract: ['$gross', '$refunded'] }
+        }
+      }
+    ]);
+
+    // Per currency - kobo and cents don't add up
+    const totals = {};
+    rows.forEach((r) => {
+      const t = totals[r.currency] = totals[r.currency] || { orders: 0, gross: 0, discounts: 0, refunded: 0, net: 0 };
+      ['orders', 'gross', 'discounts', 'refunded', 'net'].forEach((k) => { t[k] += r[k]; });
+    });
+
+    sendAnalytics(res, params, 'revenue', rows,
+      ['bucket', 'currency', 'orders', 'gross', 'discounts', 'refunded', 'net'], { totals });
+  } catch (e) {
+    console.error('❌ analytics revenue error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Funnel - visitor hits → initialized → paid, per bucket
+admin.get('/analytics/funnel', async (req, res) => {
+  let params;
+  try {
+    params = parseAnalyticsQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  try {
+    const range = { createdAt: { $gte: params.from, $lte: params.to } };
+
+    const [orderBuckets, visitBuckets, [rangeVisitors]] = await Promise.all([
+      Order.aggregate([
+        { $match: range },
+        {
+          $group: {
+            _id: bucketExpr('$createdAt', params),
+            orders: { $sum: 1 },
+            initialized: { $sum: { $cond: [{ $eq: ['$status', 'initialized'] }, 1, 0] } },
+            failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+            paid: { $sum: { $cond: [{ $in: ['$status', PAID_STATUSES] }, 1, 0] } }
+          }
+        }
+      ]),
+      VisitorHit.aggregate([
+        { $match: range },
+        {
+          $group: {
+            _id: bucketExpr('$createdAt', params),
+            visits: { $sum: 1 },
+            visitors: { $addToSet: '$visitorKey' }
+          }
+        },
+        { $project: { visits: 1, uniqueVisitors: { $size: '$visitors' } } }
+      ]),
+      // A visitor who comes back on several days is still one visitor for the whole range
+      VisitorHit.aggregate([
+        { $match: range },
+        { $group: { _id: '$visitorKey' } },
+        { $count: 'uniqueVisitors' }
+      ])
+    ]);
+
+    const byBucket = new Map();
+    const row = (bucket) => {
+      if (!byBucket.has(bucket)) {
+        byBucket.set(bucket, { bucket, visits: 0, uniqueVisitors: 0, orders: 0, initialized: 0, failed: 0, paid: 0 });
+      }
+      return byBucket.get(bucket);
+    };
+    visitBuckets.forEach((v) => Object.assign(row(v._id), { visits: v.visits, uniqueVisitors: v.uniqueVisitors }));
+    orderBuckets.forEach((o) => Object.assign(row(o._id), {
+      orders: o.orders, initialized: o.initialized, failed: o.failed, paid: o.paid
+    }));
+
+    const pct = (n, d) => (d ? Math.round((n / d) * 10000) / 100 : 0);
+    const rows = [...byBucket.values()]
+      .sort((a, b) => a.bucket.localeCompare(b.bucket))
+      .map((r) => ({
+        ...r,
+        checkoutRate: pct(r.orders, r.uniqueVisitors),
+        paymentRate: pct(r.paid, r.orders),
+        conversionRate: pct(r.paid, r.uniqueVisitors)
+      }));
+
+    const totals = rows.reduce((acc, r) => {
+      ['visits', 'orders', 'initialized', 'failed', 'paid'].forEach((k) => { acc[k] += r[k]; });
+      return acc;
+    }, { visits: 0, uniqueVisitors: rangeVisitors?.uniqueVisitors || 0, orders: 0, initialized: 0, failed: 0, paid: 0 });
+    totals.conversionRate = pct(totals.paid, totals.uniqueVisitors);
+    totals.paymentRate = pct(totals.paid, totals.orders);
+
+    sendAnalytics(res, params, 'funnel', rows, [
+      'bucket', 'visits', 'uniqueVisitors', 'orders', 'initialized', 'failed', 'paid',
+      'checkoutRate', 'paymentRate', 'conversionRate'
+    ], { totals });
+  } catch (e) {
+    console.error('❌ analytics funnel error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Revenue split by Meta ad attribution (fbc/fbclid present) vs organic
+admin.get('/analytics/attribution', async (req, res) => {
+  let params;
+  try {
+    params = parseAnalyticsQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  try {
+    const paidAt = { $ifNull: ['$verifiedAt', '$createdAt'] };
+    const hasValue = (field) => ({ $gt: [{ $strLenCP: { $ifNull: [field, ''] } }, 0] });
+    // model=first|last (default last); orders from before touch tracking fall back to the fbc check
+    const touch = req.query.model === 'first' ? '$attribution.firstTouch' : '$attribution.lastTouch';
+    const legacyChannel = { $cond: [{ $or: [hasValue('$fbc'), hasValue('$fbclid')] }, 'meta_ads', 'organic'] };
+
+    const rows = await Order.aggregate([
+      { $match: { status: { $in: PAID_STATUSES }, createdAt: { $lte: params.to } } },
+      { $addFields: { paidAt } },
+      { $match: { paidAt: { $gte: params.from, $lte: params.to } } },
+      {
+        $group: {
+          _id: {
+            bucket: bucketExpr('$paidAt', params),
+            channel: { $ifNull: [`${touch}.channel`, legacyChannel] },
+            campaign: { $ifNull: [`${touch}.utm_campaign`, null] }
+          },
+          orders: { $sum: 1 },
+          gross: { $sum: '$amount' },
+          refunded: { $sum: { $ifNull: ['$refund.amount', 0] } }
+        }
+      },
+      { $sort: { '_id.bucket': 1, '_id.channel': 1, '_id.campaign': 1 } },
+      {
+        $project: {
+          _id: 0,
+          bucket: '$_id.bucket',
+          channel: '$_id.channel',
+          campaign: '$_id.campaign',
+          orders: 1,
+          gross: 1,
+          refunded: 1,
+          net: { $subtract: ['$gross', '$refunded'] }
+        }
+      }
+    ]);
+
+    const totals = {};
+    rows.forEach((r) => {
+      totals[r.channel] = totals[r.channel] || { orders: 0, gross: 0, net: 0 };
+      totals[r.channel].orders += r.orders;
+      totals[r.channel].gross += r.gross;
+      totals[r.channel].net += r.net;
+    });
+
+    sendAnalytics(res, params, 'attribution', rows,
+      ['bucket', 'channel', 'campaign', 'orders', 'gross', 'refunded', 'net'], { totals, model: req.query.model === 'first' ? 'first' : 'last' });
+  } catch (e) {
+    console.error('❌ analytics attribution error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Abandoned checkout revenue - recovered (paid through a reminder link) vs assisted
+// (paid another way after a reminder), plus sequence counts for the period
+admin.get('/analytics/recovery', async (req, res) => {
+  let params;
+  try {
+    params = parseAnalyticsQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  try {
+    const [rows, [started]] = await Promise.all([
+      CheckoutRecovery.aggregate([
+        { $match: { status: 'converted', stepsSent: { $gt: 0 }, convertedAt: { $gte: params.from, $lte: params.to } } },
+        {
+          $group: {
+            _id: { bucket: bucketExpr('$convertedAt', params), currency: '$recoveredCurrency' },
+            recovered: { $sum: { $cond: ['$viaLink', 1, 0] } },
+            recoveredRevenue: { $sum: { $cond: ['$viaLink', '$recoveredAmount', 0] } },
+            assisted: { $sum: { $cond: ['$viaLink', 0, 1] } },
+            assistedRevenue: { $sum: { $cond: ['$viaLink', 0, '$recoveredAmount'] } }
+          }
+        },
+        { $sort: { '_id.bucket': 1, '_id.currency': 1 } },
+        {
+          $project: {
+            _id: 0,
+            bucket: '$_id.bucket',
+            currency: '$_id.currency',
+            recovered: 1,
+            recoveredRevenue: 1,
+            assisted: 1,
+            assistedRevenue: 1
+          }
+        }
+      ]),
+      CheckoutRecovery.aggregate([
+        { $match: { createdAt: { $gte: params.from, $lte: params.to } } },
+        {
+          $group: {
+            _id: null,
+            sequences: { $sum: 1 },
+            remindersSent: { $sum: '$stepsSent' },
+            resumed: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$resumes', []] } }, 0] }, 1, 0] } },
+            unsubscribed: { $sum: { $cond: [{ $eq: ['$stopReason', 'unsubscribed'] }, 1, 0] } }
+          }
+        },
+        { $project: { _id: 0 } }
+      ])
+    ]);
+
+    sendAnalytics(res, params, 'recovery', rows, [
+      'bucket', 'currency', 'recovered', 'recoveredRevenue', 'assisted', 'assistedRevenue'
+    ], { sequences: started || { sequences: 0, remindersSent: 0, resumed: 0, unsubscribed: 0 } });
+  } catch (e) {
+    console.error('❌ analytics recovery error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Admin: Client funnel events per bucket (unique visitors per step) for drop-off analysis
+admin.get('/analytics/events', async (req, res) => {
+  let params;
+  try {
+    params = parseAnalyticsQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  try {
+    const buckets = await FunnelEvent.aggregate([
+      { $match: { createdAt: { $gte: params.from, $lte: params.to } } },
+      {
+        $group: {
+          _id: { bucket: bucketExpr('$createdAt', params), name: '$name' },
+          visitors: { $addToSet: '$visitorId' }
+        }
+      },
+      { $project: { _id: 0, bucket: '$_id.bucket', name: '$_id.name', visitors: { $size: '$visitors' } } }
+    ]);
+
+    const byBucket = new Map();
+    buckets.forEach((b) => {
+      if (!byBucket.has(b.bucket)) {
+        byBucket.set(b.bucket, Object.fromEntries([['bucket', b.bucket], ...FUNNEL_EVENTS.map((n) => [n, 0])]));
+      }
+      byBucket.get(b.bucket)[b.name] = b.visitors;
+    });
+    const rows = [...byBucket.values()].sort((a, b) => a.bucket.localeCompare(b.bucket));
+
+    sendAnalytics(res, params, 'events', rows, ['bucket', ...FUNNEL_EVENTS]);
+  } catch (e) {
+    console.error('❌ analytics events error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Telegram admin bot
+ * Telegram POSTs updates to /webhooks/telegram (register it with setWebhook and
+ * secret_token = TELEGRAM_WEBHOOK_SECRET). Admins are the Telegram users in
+ * TELEGRAM_ADMIN_IDS, matched on who sent the update, never on the chat. Everyone in the
+ * sale chat (TELEGRAM_CHAT_ID) can look orders up and mark guides sent; resends and refunds
+ * need an admin. Every update is written to TelegramCommandLog. Replies are plain text so
+ * buyer data never breaks parsing.
+ */
+const telegramAdminIds = new Set(
+  (TELEGRAM_ADMIN_IDS || '').split(',').map((id) => id.trim()).filter(Boolean)
+);
+const telegramBotEnabled = () => Boolean(config.integrations.telegram && TELEGRAM_WEBHOOK_SECRET && telegramAdminIds.size);
+
+// Commands and buttons that send links or move money
+const BOT_ADMIN_ONLY = new Set(['resend', 'refund', 'refund_ok', 'retrycapi']);
+
+function botAllowed(parsed, { chatId, userId }) {
+  if (userId && telegramAdminIds.has(userId)) return true;
+  return chatId === String(TELEGRAM_CHAT_ID) && !BOT_ADMIN_ONLY.has(parsed.command);
+}
+
+const BOT_HELP = [
+  '/order <ref> - order details',
+  '/today - sales so far today (Lagos time)',
+  '/resend <ref> - fresh paycomplete link + receipt email',
+  '/refund <ref> [amount_kobo] - refund (asks to confirm)',
+  '/retrycapi <ref> - queue the Purchase event again'
+].join('\n');
+
+const formatKobo = (kobo, currency = CURRENCY) => `${currency} ${((kobo || 0) / 100).toLocaleString()}`;
+const formatLagos = (date) => (date ? new Date(date).toLocaleString('en-NG', { timeZone: ANALYTICS_TZ }) : 'N/A');
+
+async function findBotOrder(reference) {
+  if (!reference) throw orderActionError(400, 'Usage: give an order reference');
+  const order = await Order.findOne({ reference });
+  if (!order) throw orderActionError(404, `Order ${reference} not found`);
+  return order;
+}
+
+function describeOrder(order) {
+  return [
+    `🔖 ${order.reference} - ${order.status}`,
+    `📦 ${order.productName || order.productId || 'N/A'}`,
+    `💵 ${formatKobo(order.amount, order.currency)}${order.coupon?.code ? ` (coupon ${order.coupon.code})` : ''}`,
+    `📧 ${order.email}`,
+    `📱 ${order.phone || 'no phone yet'}`,
+    `🕐 Created ${formatLagos(order.createdAt)}; paid ${formatLagos(order.verifiedAt)}`,
+    `💳 ${order.provider || 'paystack'}${order.providerTransactionId ? ` #${order.providerTransactionId}` : ''}`,
+    `📊 CAPI: ${order.capi?.sent ? 'sent' : `not sent${order.capi?.error ? ` (${order.capi.error})` : ''}`}, tries ${order.capi?.tries || 0}`,
+    `📧 Receipt: ${order.mail?.receiptSent ? 'sent' : 'not sent'}`,
+    order.whatsapp?.status ? `💬 WhatsApp: ${order.whatsapp.status}${order.whatsapp.error ? ` (${order.whatsapp.error})` : ''}${order.whatsapp.fallbackAt ? ', manual alert sent' : ''}` : '',
+    `📗 Guide: ${order.fulfillment?.guideSentAt ? `sent by ${order.fulfillment.guideSentBy} at ${formatLagos(order.fulfillment.guideSentAt)}` : 'not marked sent'}`,
+    `⬇️ Downloads: ${order.download?.count || 0}${order.download?.revokedAt ? ' (revoked)' : ''}`,
+    order.refund?.status ? `💸 Refund ${order.refund.status}: ${formatKobo(order.refund.amount || order.refund.requestedAmount, order.currency)}` : '',
+    order.parentReference ? `⬆️ Upsell of ${order.parentReference}` : '',
+    order.affiliateCode ? `🤝 Affiliate ${order.affiliateCode}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+// Lagos is UTC+1 all year, so midnight there is 23:00 UTC the day before
+function lagosStartOfDay(now = new Date()) {
+  const lagos = new Date(now.getTime() + 60 * 60 * 1000);
+  return new Date(Date.UTC(lagos.getUTCFullYear(), lagos.getUTCMonth(), lagos.getUTCDate()) - 60 * 60 * 1000);
+}
+
+const botCommands = {
+  help: async () => ({ text: BOT_HELP }),
+  start: async () => ({ text: BOT_HELP }),
+
+  order: async ([reference]) => {
+    const order = await findBotOrder(reference);
+    return { text: describeOrder(order), reply_markup: orderKeyboard(order) };
+  },
+
+  today: async () => {
+    const since = lagosStartOfDay();
+    const currency = { $ifNull: ['$currency', CURRENCY] };
+    const [byProduct, pending, refunded] = await Promise.all([
+      Order.aggregate([
+        { $match: { status: { $in: PAID_STATUSES }, verifiedAt: { $gte: since } } },
+        {
+          $group: {
+            _id: { product: { $ifNull: ['$productName', '$productId'] }, currency },
+            orders: { $sum: 1 },
+            gross: { $sum: '$amount' }
+          }
+        },
+        { $sort: { gross: -1 } }
+      ]),
+      Order.countDocuments({ status: 'initialized', createdAt: { $gte: since } }),
+      Order.aggregate([
+        { $match: { 'refund.amount': { $gt: 0 }, 'refund.updatedAt': { $gte: since } } },
+        { $group: { _id: currency, amount: { $sum: '$refund.amount' } } }
+      ])
+    ]);
+
+    // Per currency - kobo and cents don't add up
+    const gross = {};
+    byProduct.forEach((p) => { gross[p._id.currency] = (gross[p._id.currency] || 0) + p.gross; });
+    const perCurrency = (totals) => totals.map(([cur, kobo]) => formatKobo(kobo, cur)).join(' + ') || formatKobo(0);
+    const orders = byProduct.reduce((sum, p) => sum + p.orders, 0);
+    return {
+      text: [
+        `📅 Today since ${formatLagos(since)}`,
+        `✅ Paid: ${orders} orders, ${perCurrency(Object.entries(gross))}`,
+        ...byProduct.map((p) => `  • ${p._id.product || 'N/A'}: ${p.orders} / ${formatKobo(p.gross, p._id.currency)}`),
+        `⏳ Started, not paid: ${pending}`,
+        `💸 Refunded: ${perCurrency(refunded.map((r) => [r._id, r.amount]))}`
+      ].join('\n')
+    };
+  },
+
+  resend: async ([reference]) => {
+    const order = await findBotOrder(reference);
+    // The chat is the sale notification, so skip reposting it
+    const result = await resendOrderDelivery(order, { notify: false });
+    return {
+      text: `🔁 New link for ${order.reference} (valid until ${formatLagos(result.expiresAt)}):\n${result.link}\n${result.emailQueued ? '📧 Receipt email queued' : '⚠️ Email not configured'}`
+    };
+  },
+
+  refund: async ([reference, amount]) => {
+    const order = await findBotOrder(reference);
+    if (!canTransition(order.status, 'refund_pending')) {
+      throw orderActionError(409, `Cannot refund an order in status ${order.status}`);
+    }
+    const refundable = order.amount - (order.refund?.amount || 0);
+    const refundAmount = amount == null ? refundable : Number(amount);
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      throw orderActionError(400, `Refund amount must be between 1 and ${refundable} kobo`);
+    }
+    return {
+      text: `💸 Refund ${formatKobo(refundAmount, order.currency)} of ${order.reference} (${order.email})?`,
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Yes, refund', callback_data: `refund_ok:${order.reference}:${refundAmount}` },
+          { text: '✖️ Cancel', callback_data: `cancel:${order.reference}` }
+        ]]
+      }
+    };
+  },
+
+  retrycapi: async ([reference]) => {
+    const order = await findBotOrder(reference);
+    if (!PAID_STATUSES.includes(order.status)) {
+      throw orderActionError(409, `Order ${order.reference} is ${order.status}, not paid`);
+    }
+    if (order.capi?.sent) return { text: `📊 Purchase for ${order.reference} was already sent` };
+    if (!capiEnabled()) throw orderActionError(409, 'CAPI is not configured');
+
+    // The original job may be dead; a new key queues a fresh one
+    await enqueueJob('capi.purchase', { reference: order.reference }, {
+      dedupeKey: `capi.purchase:${order.reference}:retry:${Date.now()}`
+    });
+    return { text: `📊 Purchase for ${order.reference} queued again (${order.capi?.tries || 0} earlier tries)` };
+  }
+};
+
+// Inline button presses: callback_data is "<action>:<ref>[:<arg>]"
+const botCallbacks = {
+  noop: async () => ({ toast: 'Already done' }),
+  cancel: async (order, args, { message }) => {
+    await telegramApi('editMessageReplyMarkup', { chat_id: message.chat.id, message_id: message.message_id, reply_markup: { inline_keyboard: [] } });
+    return { toast: 'Cancelled' };
+  },
+
+  guide_sent: async (order, args, { message, actor }) => {
+    if (!order.fulfillment?.guideSentAt) {
+      order.fulfillment = { guideSentAt: new Date(), guideSentBy: actor };
+      order.history.push({ from: order.status, to: order.status, actor, note: 'Guide marked sent' });
+      await order.save();
+    }
+    await telegramApi('editMessageReplyMarkup', { chat_id: message.chat.id, message_id: message.message_id, reply_markup: orderKeyboard(order) });
+    return { toast: `Guide sent by ${order.fulfillment.guideSentBy}` };
+  },
+
+  resend: async (order) => botCommands.resend([order.reference]),
+  refund: async (order) => botCommands.refund([order.reference]),
+
+  refund_ok: async (order, [amount], { message, actor }) => {
+    const refund = await requestOrderRefund(order, { amount, reason: 'Requested from Telegram', actor });
+    await telegramApi('editMessageReplyMarkup', { chat_id: message.chat.id, message_id: message.message_id, reply_markup: { inline_keyboard: [] } });
+    return { toast: 'Refund requested', text: `⏳ Refund of ${formatKobo(refund.requestedAmount, order.currency)} requested for ${order.reference}` };
+  }
+};
+
+// "/refund@MyBot ref 5000" → { command: 'refund', args: ['ref', '5000'] }
+function parseBotUpdate(update) {
+  if (update.callback_query) {
+    const query = update.callback_query;
+    const [command, reference, ...args] = String(query.data || '').split(':');
+    return { kind: 'callback', from: query.from, chat: query.message?.chat, command, reference, args, query };
+  }
+  const message = update.message || update.edited_message;
+  const text = message?.text?.trim();
+  if (!text || !text.startsWith('/')) return null;
+  const [head, ...args] = text.split(/\s+/);
+  return { kind: 'command', from: message.from, chat: message.chat, command: head.slice(1).split('@')[0].toLowerCase(), args, message };
+}
+
+async function runBotUpdate(parsed, log) {
+  const chatId = parsed.chat?.id;
+  const actor = `telegram:${parsed.from?.username || parsed.from?.id}`;
+  let reply;
+
+  try {
+    if (!log.allowed) {
+      reply = { text: '⛔ Not authorised', toast: 'Not authorised' };
+    } else if (parsed.kind === 'command') {
+      const handler = botCommands[parsed.command];
+      reply = handler ? await handler(parsed.args, { actor }) : { text: `Unknown command /${parsed.command}\n\n${BOT_HELP}` };
+    } else {
+      const handler = botCallbacks[parsed.command];
+      if (!handler) throw orderActionError(400, 'Unknown button');
+      const order = await findBotOrder(parsed.reference);
+      reply = await handler(order, parsed.args, { message: parsed.query.message, actor });
+    }
+    log.ok = log.allowed;
+  } catch (e) {
+    if (!e.status) console.error(`❌ Telegram /${parsed.command} error:`, e.response?.data || e.message);
+    reply = { text: `❌ ${e.status ? e.message : 'Something went wrong, check the server logs'}`, toast: 'Failed' };
+    log.ok = false;
+    log.error = e.message;
+  }
+
+  if (parsed.kind === 'callback') {
+    await telegramApi('answerCallbackQuery', { callback_query_id: parsed.query.id, text: reply.toast || '' })
+      .catch((e) => console.error('❌ answerCallbackQuery failed:', e.response?.data || e.message));
+  }
+  if (reply.text && chatId != null) {
+    await telegramApi('sendMessage', {
+      chat_id: chatId,
+      text: reply.text,
+      reply_markup: reply.reply_markup,
+      disable_web_page_preview: true
+    }).catch((e) => console.error('❌ Telegram reply failed:', e.response?.data || e.message));
+  }
+
+  log.reply = reply.text || reply.toast;
+  await log.save();
+}
+
+// Telegram retries anything but a 2xx, so log (dedupe) first, answer, then run the command
+app.post('/webhooks/telegram', async (req, res) => {
+  if (!telegramBotEnabled()) {
+    return res.status(404).json({ ok: false, error: 'Not found' });
+  }
+  if (!safeEqual(req.headers['x-telegram-bot-api-secret-token'], TELEGRAM_WEBHOOK_SECRET)) {
+    return res.status(401).json({ ok: false, error: 'Invalid secret token' });
+  }
+
+  const update = req.body || {};
+  const parsed = Number.isInteger(update.update_id) ? parseBotUpdate(update) : null;
+  if (!parsed) return res.json({ ok: true });
+
+  const chatId = parsed.chat?.id != null ? String(parsed.chat.id) : undefined;
+  const userId = parsed.from?.id != null ? String(parsed.from.id) : undefined;
+  let log;
+  try {
+    log = await TelegramCommandLog.create({
+      updateId: update.update_id,
+      kind: parsed.kind,
+      chatId,
+      userId,
+      username: parsed.from?.username,
+      command: parsed.command,
+      args: parsed.reference ? [parsed.reference, ...parsed.args] : parsed.args,
+      allowed: botAllowed(parsed, { chatId, userId })
+    });
+  } catch (e) {
+    if (e.code === 11000) return res.json({ ok: true, duplicate: true });
+    console.error('❌ Telegram update log failed:', e.message);
+    return res.status(500).json({ ok: false, error: 'Server error' });
+  }
+
+  res.json({ ok: true });
+  console.log(`🤖 Telegram ${parsed.kind} ${parsed.command} from ${log.username || userId} in ${chatId}${log.allowed ? '' : ' (rejected)'}`);
+  setImmediate(() => {
+    runBotUpdate(parsed, log).catch((e) => console.error('❌ Telegram update error:', e.message));
+  });
+});
+
+/**
+ * Health checks
+ * /healthz is liveness (always 200 while the process is up) and says nothing else, since
+ * it's public; /readyz returns 503 when Mongo is unreachable or a background worker has
+ * stopped running
+ */
+const STARTED_AT = new Date();
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+const JOB_WORKER_STALE_MS = 60 * 1000;
+const WEBHOOK_WORKER_STALE_MS = 2 * 60 * 1000;
+let webhookWorkerLastRunAt = null;
+
+function workerStatus(lastRunAt, staleAfterMs) {
+  const ageMs = Date.now() - (lastRunAt || STARTED_AT).getTime();
+  return {
+    lastRunAt,
+    ageSeconds: lastRunAt ? Math.round(ageMs / 1000) : null,
+    stale: ageMs > staleAfterMs
+  };
+}
+
+async function pingMongo() {
+  if (mongoose.connection.readyState !== 1) return false;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('ping timeout')), 2000))
+    ]);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function healthReport() {
+  const workers = {
+    // A slow job gets as long as its lock before the worker counts as stuck
+    jobs: workerStatus(jobWorkerLastRunAt, jobWorkerBusy ? JOB_LOCK_TIMEOUT_MS : JOB_WORKER_STALE_MS),
+    webhooks: workerStatus(webhookWorkerLastRunAt, WEBHOOK_WORKER_STALE_MS)
+  };
+  const mongo = {
+    state: MONGO_STATES[mongoose.connection.readyState] || 'unknown',
+    reachable: await pingMongo()
+  };
+  return {
+    ready: mongo.reachable && !workers.jobs.stale && !workers.webhooks.stale,
+    uptimeSeconds: Math.round(process.uptime()),
+    mongo,
+    workers,
+    integrations: config.integrations
+  };
+}
+
+app.get('/healthz', (req, res) => {
+  res.json({ ok: true });
+});
+
+app.get('/readyz', async (req, res) => {
+  const report = await healthReport();
+  res.status(report.ready ? 200 : 503).json({ ok: report.ready, ...report });
+});
+
+// Job Worker - polls the outbound queue (enqueueJob also kicks it immediately)
+setInterval(kickJobWorker, 10 * 1000);
+
+// Reconciler - runs beside the job worker so a slow sweep doesn't hold up receipts and
+// notifications; the slot claim keeps it to one instance per slot
+let reconcileRunning = false;
+setInterval(async () => {
+  if (reconcileRunning) return;
+  reconcileRunning = true;
+  try {
+    await reconcileStaleOrders({ slot: reconciliationSlot() });
+  } catch (e) {
+    if (e.code !== 11000) console.error('❌ Scheduled reconciliation failed:', e.message);
+  } finally {
+    reconcileRunning = false;
+  }
+}, RECONCILE_INTERVAL_MS);
+
+// Abandoned checkout scan - one job per time slot, so only one instance runs it
+if (CART_RECOVERY_ENABLED) {
+  setInterval(() => {
+    enqueueJobSafe('cart.scan', {}, { dedupeKey: `cart.scan:${Math.floor(Date.now() / CART_RECOVERY_SCAN_MS)}`, maxAttempts: 1 });
+  }, CART_RECOVERY_SCAN_MS);
+}
+
+// Webhook Worker - retries pending events and recovers stale locks
+setInterval(async () => {
+  try {
+    await WebhookEvent.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - WEBHOOK_LOCK_TIMEOUT_MS) } },
+      { $set: { status: 'pending', lockedAt: null } }
+    );
+    await processWebhookEvents();
   } catch (e) {
-    console.error('❌ CAPI worker error:', e.message);
+    console.error('❌ Webhook worker error:', e.message);
+  } finally {
+    webhookWorkerLastRunAt = new Date();
   }
-}, 60 * 1000);
+}, 30 * 1000);
 
 // Start Server
 app.listen(PORT, () => {
   console.log(`\n✅ Server running on ${SITE_URL || `http://localhost:${PORT}`}`);
-  console.log(`✅ Paystack: ${PAYSTACK_PUBLIC_KEY ? 'Configured' : '❌ Missing keys'}`);
+  console.log(`✅ Paystack: ${providers.paystack ? 'Configured' : 'Disabled'}`);
+  console.log(`✅ Flutterwave: ${providers.flutterwave ? 'Configured' : 'Disabled'}`);
   console.log(`✅ Meta CAPI: ${FB_PIXEL_ID && FB_ACCESS_TOKEN ? 'Configured' : '❌ Missing credentials'}`);
   console.log(`📊 Test Events: ${FB_TEST_EVENT_CODE ? `Enabled (${FB_TEST_EVENT_CODE})` : 'Disabled (production mode)'}`);
   console.log(`📱 Telegram: ${TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID ? 'Enabled' : 'Disabled (optional)'}`);
-  console.log(`\n🔍 CAPI Retry Worker: Active (checks every 60 seconds)`);
+  console.log(`🤖 Telegram bot: ${telegramBotEnabled() ? `/webhooks/telegram (${telegramAdminIds.size} admin ids)` : 'Disabled (set TELEGRAM_WEBHOOK_SECRET and TELEGRAM_ADMIN_IDS)'}`);
+  console.log(`📧 Email receipts: ${mailEnabled() ? `Enabled (${SMTP_HOST})` : 'Disabled (optional)'}`);
+  console.log(`\n🔍 Job Worker: Active as ${WORKER_ID} (checks every 10 seconds)`);
+  console.log(`🪝 Webhook Worker: Active (checks every 30 seconds)`);
+  console.log(`🧾 Reconciler: every ${RECONCILE_INTERVAL_MS / 60000} min for orders older than ${RECONCILE_DEFAULT_MIN_AGE_MINUTES} min`);
+  console.log(`🛒 Cart recovery: ${CART_RECOVERY_ENABLED ? `Enabled (reminders at ${CART_RECOVERY_DELAYS_MINUTES} min)` : 'Disabled (set CART_RECOVERY_ENABLED)'}`);
   console.log(`📱 WhatsApp Collection: Enabled on paycomplete page`);
+  console.log(`💬 WhatsApp auto-send: ${whatsappEnabled() ? `Enabled (template ${WHATSAPP_TEMPLATE_NAME})` : 'Disabled (manual alert)'}`);
+  console.log(`🩺 Health: /healthz (liveness), /readyz (readiness)`);
 });
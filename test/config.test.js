@@ -0,0 +1,139 @@
+/**
+ * test/config.test.js - Environment validation (npm test)
+ * loadConfig parses each setting by type and reports every problem at once.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../config');
+
+// The smallest environment that starts: Mongo plus the default payment provider
+const BASE = {
+  MONGODB_URI: 'mongodb://127.0.0.1:27017/shop',
+  PAYSTACK_PUBLIC_KEY: 'pk_test_x',
+  PAYSTACK_SECRET_KEY: 'sk_test_x'
+};
+
+const TELEGRAM = { TELEGRAM_BOT_TOKEN: '123:abc', TELEGRAM_CHAT_ID: '-100123' };
+const SMTP = { SMTP_HOST: 'smtp.example.com', MAIL_FROM: 'shop@example.com' };
+
+// The problems loadConfig throws for an environment (empty when it loads)
+function problemsFor(env) {
+  try {
+    loadConfig({ ...BASE, ...env });
+    return [];
+  } catch (err) {
+    assert.ok(err instanceof ConfigError);
+    return err.problems;
+  }
+}
+
+test('the minimal environment loads with defaults', () => {
+  const config = loadConfig(BASE);
+  assert.equal(config.PORT, 3000);
+  assert.equal(config.PAYMENT_PROVIDER, 'paystack');
+  assert.equal(config.TRUST_PROXY_HOPS, 1);
+  assert.equal(config.SMTP_SECURE, false);
+  assert.equal(config.CART_RECOVERY_DELAYS_MINUTES, '60,1440');
+  assert.deepEqual({ ...config.integrations }, {
+    paystack: true,
+    flutterwave: false,
+    capi: false,
+    telegram: false,
+    whatsapp: false,
+    smtp: false
+  });
+  assert.ok(Object.isFrozen(config));
+});
+
+test('values are parsed by type and trimmed', () => {
+  const config = loadConfig({
+    ...BASE,
+    PORT: ' 8080 ',
+    DOWNLOAD_TTL_HOURS: '1.5',
+    SMTP_SECURE: '1',
+    SMTP_IGNORE_TLS: 'false',
+    SITE_URL: 'https://shop.example.com//',
+    PAYMENT_FALLBACK_PROVIDER: ''
+  });
+  assert.equal(config.PORT, 8080);
+  assert.equal(config.DOWNLOAD_TTL_HOURS, 1.5);
+  assert.equal(config.SMTP_SECURE, true);
+  assert.equal(config.SMTP_IGNORE_TLS, false);
+  assert.equal(config.SITE_URL, 'https://shop.example.com');
+  assert.equal(config.PAYMENT_FALLBACK_PROVIDER, undefined);
+});
+
+test('bad values name the setting and what it expects', () => {
+  assert.deepEqual(problemsFor({ PORT: '80.5' }), ['PORT must be a whole number (got "80.5")']);
+  assert.deepEqual(problemsFor({ PORT: '70000' }), ['PORT must be at most 65535 (got "70000")']);
+  assert.deepEqual(problemsFor({ TRUST_PROXY_HOPS: '-1' }), ['TRUST_PROXY_HOPS must be at least 0 (got "-1")']);
+  assert.deepEqual(problemsFor({ DOWNLOAD_TTL_HOURS: 'soon' }), ['DOWNLOAD_TTL_HOURS must be a number (got "soon")']);
+  assert.deepEqual(problemsFor({ SMTP_SECURE: 'yes' }), ['SMTP_SECURE must be true or false (got "yes")']);
+  assert.deepEqual(problemsFor({ SITE_URL: 'ftp://example.com' }), ['SITE_URL must be an http(s) URL (got "ftp://example.com")']);
+  assert.deepEqual(problemsFor({ SITE_URL: 'not a url' }), ['SITE_URL must be an http(s) URL (got "not a url")']);
+  assert.deepEqual(problemsFor({ RATE_LIMIT_STORE: 'redis' }), ['RATE_LIMIT_STORE must be one of memory, mongo (got "redis")']);
+  assert.deepEqual(problemsFor({ CURRENCY: 'naira' }), ['CURRENCY must be an ISO code like NGN (got "naira")']);
+});
+
+test('every problem is reported at once', () => {
+  assert.deepEqual(problemsFor({ MONGODB_URI: '', PORT: 'x', SMTP_SECURE: 'maybe' }), [
+    'PORT must be a whole number (got "x")',
+    'MONGODB_URI is required (a mongodb:// or mongodb+srv:// URI)',
+    'SMTP_SECURE must be true or false (got "maybe")'
+  ]);
+  assert.throws(() => loadConfig({ ...BASE, PORT: 'x' }), /^ConfigError: Invalid configuration:\n {2}- PORT must be a whole number/);
+});
+
+test('a partly configured integration is an error; an unconfigured one is just off', () => {
+  assert.deepEqual(problemsFor({ TELEGRAM_BOT_TOKEN: '123:abc' }), [
+    'telegram is partly configured: set TELEGRAM_CHAT_ID or unset TELEGRAM_BOT_TOKEN'
+  ]);
+  assert.deepEqual(problemsFor({ FLW_PUBLIC_KEY: 'pk', FLW_SECRET_KEY: 'sk' }), [
+    'flutterwave is partly configured: set FLW_SECRET_HASH or unset FLW_PUBLIC_KEY, FLW_SECRET_KEY'
+  ]);
+  assert.equal(loadConfig({ ...BASE, ...TELEGRAM }).integrations.telegram, true);
+});
+
+test('the payment provider and fallback need their keys', () => {
+  assert.deepEqual(problemsFor({ PAYMENT_PROVIDER: 'flutterwave' }), [
+    'PAYMENT_PROVIDER is flutterwave but FLW_PUBLIC_KEY, FLW_SECRET_KEY, FLW_SECRET_HASH are not set'
+  ]);
+  assert.deepEqual(problemsFor({ PAYMENT_FALLBACK_PROVIDER: 'flutterwave' }), [
+    'PAYMENT_FALLBACK_PROVIDER is flutterwave but FLW_PUBLIC_KEY, FLW_SECRET_KEY, FLW_SECRET_HASH are not set'
+  ]);
+  assert.deepEqual(problemsFor({ PAYSTACK_PUBLIC_KEY: '', PAYSTACK_SECRET_KEY: '' }), [
+    'PAYMENT_PROVIDER is paystack but PAYSTACK_PUBLIC_KEY, PAYSTACK_SECRET_KEY are not set'
+  ]);
+});
+
+test('the Telegram admin bot needs the telegram integration and named admins', () => {
+  assert.deepEqual(problemsFor({ TELEGRAM_WEBHOOK_SECRET: 'hook_secret' }), [
+    'TELEGRAM_WEBHOOK_SECRET is set but TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID are not',
+    'TELEGRAM_ADMIN_IDS is required when TELEGRAM_WEBHOOK_SECRET is set'
+  ]);
+  assert.deepEqual(problemsFor({ ...TELEGRAM, TELEGRAM_WEBHOOK_SECRET: 'hook_secret', TELEGRAM_ADMIN_IDS: '111, 222' }), []);
+});
+
+test('cart recovery needs SMTP and SITE_URL', () => {
+  assert.deepEqual(problemsFor({ CART_RECOVERY_ENABLED: 'true' }), [
+    'CART_RECOVERY_ENABLED is set but SMTP_HOST, MAIL_FROM are not',
+    'SITE_URL is required when CART_RECOVERY_ENABLED is set'
+  ]);
+  assert.deepEqual(problemsFor({ ...SMTP, CART_RECOVERY_ENABLED: 'true', SITE_URL: 'https://shop.example.com' }), []);
+});
+
+test('CART_RECOVERY_DELAYS_MINUTES must be increasing and at least 1', () => {
+  const rule = 'CART_RECOVERY_DELAYS_MINUTES must be increasing and at least 1';
+  assert.deepEqual(problemsFor({ CART_RECOVERY_DELAYS_MINUTES: '30, 120, 1440' }), []);
+  assert.deepEqual(problemsFor({ CART_RECOVERY_DELAYS_MINUTES: '1440,60' }), [rule]);
+  assert.deepEqual(problemsFor({ CART_RECOVERY_DELAYS_MINUTES: '60,60' }), [rule]);
+  assert.deepEqual(problemsFor({ CART_RECOVERY_DELAYS_MINUTES: '0,60' }), [rule]);
+  assert.match(problemsFor({ CART_RECOVERY_DELAYS_MINUTES: '60,1d' })[0], /^CART_RECOVERY_DELAYS_MINUTES must be comma-separated minutes/);
+});
+
+test('PRODUCT_ID needs PRODUCT_PRICE_KOBO, reported once', () => {
+  assert.deepEqual(problemsFor({ PRODUCT_ID: 'guide' }), ['PRODUCT_PRICE_KOBO is required when PRODUCT_ID is set']);
+  assert.deepEqual(problemsFor({ PRODUCT_ID: 'guide', PRODUCT_PRICE_KOBO: '0' }), ['PRODUCT_PRICE_KOBO must be at least 1 (got "0")']);
+  assert.equal(loadConfig({ ...BASE, PRODUCT_ID: 'guide', PRODUCT_PRICE_KOBO: '500000' }).PRODUCT_PRICE_KOBO, 500000);
+});
@@ -0,0 +1,50 @@
+/**
+ * test/contact.test.js - Email and phone normalization (npm test)
+ * Every way a Nigerian buyer types their number ends up as the same E.164 string.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEmail, normalizePhone } = require('../contact');
+
+test('normalizeEmail trims and lowercases', () => {
+  assert.equal(normalizeEmail('  Ada@Example.COM '), 'ada@example.com');
+  assert.equal(normalizeEmail(undefined), '');
+});
+
+test('normalizePhone accepts the usual Nigerian formats', () => {
+  for (const input of [
+    '08031234567',
+    '0803 123 4567',
+    '803 123 4567',
+    '2348031234567',
+    '+234 803 123 4567',
+    '+234 (803) 123-4567',
+    '002348031234567'
+  ]) {
+    assert.equal(normalizePhone(input), '+2348031234567', input);
+  }
+});
+
+test('normalizePhone rejects Nigerian numbers of the wrong shape', () => {
+  assert.equal(normalizePhone('+23480312345'), null);
+  assert.equal(normalizePhone('+2346031234567'), null);
+  assert.equal(normalizePhone('0803123456'), null);
+});
+
+test('normalizePhone keeps other international numbers', () => {
+  assert.equal(normalizePhone('+44 7700 900123'), '+447700900123');
+  assert.equal(normalizePhone('+1 (415) 555-0100'), '+14155550100');
+});
+
+test('normalizePhone uses the default country code', () => {
+  assert.equal(normalizePhone('233241234567', '233'), '+233241234567');
+});
+
+test('normalizePhone returns null for junk', () => {
+  assert.equal(normalizePhone(''), null);
+  assert.equal(normalizePhone('hello'), null);
+  assert.equal(normalizePhone('+0123456789'), null);
+  assert.equal(normalizePhone(8031234567), null);
+  assert.equal(normalizePhone(null), null);
+});
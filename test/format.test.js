@@ -0,0 +1,76 @@
+/**
+ * test/format.test.js - Notification escaping (npm test)
+ * Buyer-supplied values must come out as literal text in every channel's markup.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeHtml,
+  escapeMarkdownV2,
+  escapeMarkdownV2Code,
+  escapeSlack,
+  escapeDiscord,
+  renderMessage
+} = require('../notifications/format');
+
+test('escapeMarkdownV2 escapes underscores, backticks and the other reserved characters', () => {
+  assert.equal(escapeMarkdownV2('first_name.last@x.com'), 'first\\_name\\.last@x\\.com');
+  assert.equal(escapeMarkdownV2('`code` *bold* [x](y)'), '\\`code\\` \\*bold\\* \\[x\\]\\(y\\)');
+  assert.equal(escapeMarkdownV2('a\\b'), 'a\\\\b');
+});
+
+test('escapeMarkdownV2Code only escapes backticks and backslashes', () => {
+  assert.equal(escapeMarkdownV2Code('fb.1_2`3\\'), 'fb.1_2\\`3\\\\');
+});
+
+test('escapeHtml escapes tags, ampersands and quotes', () => {
+  assert.equal(escapeHtml('<b>"A&B"</b>'), '&lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;');
+});
+
+test('escapeSlack escapes control characters but leaves formatting alone', () => {
+  assert.equal(escapeSlack('<!channel> & <@U123>'), '&lt;!channel&gt; &amp; &lt;@U123&gt;');
+  assert.equal(escapeSlack('first_name'), 'first_name');
+});
+
+test('escapeDiscord breaks @everyone and @here pings and escapes markdown', () => {
+  assert.equal(escapeDiscord('@everyone'), '@\u200beveryone');
+  assert.equal(escapeDiscord('hi @here'), 'hi @\u200bhere');
+  assert.equal(escapeDiscord('first_name `x`'), 'first\\_name \\`x\\`');
+});
+
+test('renderMessage escapes values per format and keeps code spans closed', () => {
+  const message = {
+    title: 'NEW_SALE',
+    sections: [{
+      title: 'ORDER',
+      lines: [
+        { label: 'Email', value: 'a_b@x.com', code: true },
+        { label: 'Campaign', value: 'spring`sale', code: true },
+        { label: 'Note', value: '@everyone free_stuff' },
+        { label: 'Empty', value: '' }
+      ]
+    }]
+  };
+
+  assert.equal(renderMessage(message, 'markdownv2'), [
+    '*NEW\\_SALE*',
+    '',
+    '*ORDER*',
+    'Email: `a_b@x.com`',
+    'Campaign: `spring\\`sale`',
+    'Note: @everyone free\\_stuff'
+  ].join('\n'));
+
+  const slack = renderMessage(message, 'slack');
+  assert.match(slack, /Campaign: `spring'sale`/);
+
+  const discord = renderMessage(message, 'discord');
+  assert.match(discord, /Campaign: `spring'sale`/);
+  assert.match(discord, /Note: @\u200beveryone free\\_stuff/);
+  assert.doesNotMatch(discord, /Empty/);
+});
+
+test('renderMessage rejects unknown formats', () => {
+  assert.throws(() => renderMessage({ title: 'x' }, 'markdown'), /Unknown message format/);
+});
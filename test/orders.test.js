@@ -0,0 +1,88 @@
+/**
+ * test/orders.test.js - Order state machine (npm test)
+ * Only the moves in ORDER_TRANSITIONS go through, and each one lands in the history.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ORDER_TRANSITIONS,
+  canTransition,
+  transitionOrder,
+  setOrderStatus,
+  revertFailedRefund
+} = require('../orders');
+
+const makeOrder = (status, extra = {}) => ({ reference: 'ref_1', status, history: [], ...extra });
+
+test('every transition target is itself a known status', () => {
+  for (const [from, targets] of Object.entries(ORDER_TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(ORDER_TRANSITIONS[to], `${from} → ${to} points at an unknown status`);
+    }
+  }
+});
+
+test('canTransition allows listed moves and rejects the rest', () => {
+  assert.equal(canTransition('initialized', 'success'), true);
+  assert.equal(canTransition('failed', 'success'), true);
+  assert.equal(canTransition('success', 'refund_pending'), true);
+  assert.equal(canTransition('refund_pending', 'success'), false);
+  assert.equal(canTransition('refunded', 'success'), false);
+  assert.equal(canTransition('initialized', 'refunded'), false);
+  assert.equal(canTransition('nonsense', 'success'), false);
+});
+
+test('transitionOrder records the move in the history', () => {
+  const order = transitionOrder(makeOrder('initialized'), 'success', { actor: 'webhook', note: 'charge.success' });
+  assert.equal(order.status, 'success');
+  assert.equal(order.history.length, 1);
+  assert.deepEqual(
+    { from: order.history[0].from, to: order.history[0].to, actor: order.history[0].actor, note: order.history[0].note },
+    { from: 'initialized', to: 'success', actor: 'webhook', note: 'charge.success' }
+  );
+  assert.ok(order.history[0].at instanceof Date);
+});
+
+test('transitionOrder throws ILLEGAL_TRANSITION and leaves the order alone', () => {
+  const order = makeOrder('refunded');
+  assert.throws(() => transitionOrder(order, 'success'), (err) => {
+    assert.equal(err.code, 'ILLEGAL_TRANSITION');
+    assert.match(err.message, /refunded → success for ref_1/);
+    return true;
+  });
+  assert.equal(order.status, 'refunded');
+  assert.equal(order.history.length, 0);
+});
+
+test('a full refund revokes access', () => {
+  const order = makeOrder('success', {
+    successToken: 'tok',
+    tokenExpiresAt: new Date(),
+    download: { grantId: 'g1' }
+  });
+  transitionOrder(order, 'refunded');
+  assert.ok(order.accessRevokedAt instanceof Date);
+  assert.equal(order.successToken, null);
+  assert.equal(order.tokenExpiresAt, null);
+  assert.ok(order.download.revokedAt instanceof Date);
+});
+
+test('a partial refund keeps access', () => {
+  const order = makeOrder('success', { successToken: 'tok' });
+  transitionOrder(order, 'partially_refunded');
+  assert.equal(order.successToken, 'tok');
+  assert.equal(order.accessRevokedAt, undefined);
+});
+
+test('setOrderStatus skips the legality check for forced overrides', () => {
+  const order = setOrderStatus(makeOrder('refunded'), 'success', { actor: 'admin', note: 'forced' });
+  assert.equal(order.status, 'success');
+  assert.equal(order.history[0].from, 'refunded');
+});
+
+test('revertFailedRefund goes back to success, or partially_refunded after an earlier refund', () => {
+  assert.equal(revertFailedRefund(makeOrder('refund_pending')).status, 'success');
+  assert.equal(revertFailedRefund(makeOrder('refund_pending', { refund: { amount: 1000 } })).status, 'partially_refunded');
+  assert.throws(() => revertFailedRefund(makeOrder('success')), { code: 'ILLEGAL_TRANSITION' });
+});
@@ -0,0 +1,150 @@
+/**
+ * test/pricing.test.js - Price tiers and tier holds (npm test)
+ * Open checkouts hold a limited tier's places for TIER_HOLD_MS, except the buyer's own.
+ * Coupons never bring a charge below MIN_CHARGE_KOBO.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TIER_HOLD_MS,
+  MIN_CHARGE_KOBO,
+  currentPricing,
+  parsePriceTiers,
+  orderPricingTier,
+  couponDiscount
+} = require('../pricing');
+
+// Just enough of Mongo's query language for tierTakenFilter
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((branch) => matches(doc, branch));
+    const value = key.split('.').reduce((v, part) => v?.[part], doc);
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      if ('$in' in cond && !cond.$in.includes(value)) return false;
+      if ('$ne' in cond && value === cond.$ne) return false;
+      if ('$gte' in cond && !(value >= cond.$gte)) return false;
+      return true;
+    }
+    return value === cond;
+  });
+}
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const minutesAgo = (m) => new Date(NOW.getTime() - m * 60 * 1000);
+
+const product = {
+  productId: 'course',
+  amountKobo: 2000000,
+  priceTiers: [
+    { tierId: 'early', label: 'Early bird', amountKobo: 1000000, maxOrders: 2 },
+    { tierId: 'launch', amountKobo: 1500000, endsAt: new Date('2026-03-02T00:00:00Z') }
+  ]
+};
+
+const order = (status, email, createdAt = NOW, tierId = 'early') =>
+  ({ productId: 'course', pricingTier: { tierId }, status, email, createdAt });
+
+const priceWith = (orders, opts = {}) => currentPricing(product, {
+  now: NOW,
+  ...opts,
+  countOrders: async (filter) => orders.filter((o) => matches(o, filter)).length
+});
+
+test('the first tier with places left is charged', async () => {
+  const price = await priceWith([order('success', 'a@x.com')]);
+  assert.equal(price.amountKobo, 1000000);
+  assert.equal(price.regularAmountKobo, 2000000);
+  assert.deepEqual(price.tier, { id: 'early', label: 'Early bird', endsAt: null, remaining: 1 });
+});
+
+test('a sold-out tier falls through to the next one', async () => {
+  const price = await priceWith([order('success', 'a@x.com'), order('refunded', 'b@x.com')]);
+  assert.equal(price.tier.id, 'launch');
+  assert.equal(price.tier.remaining, null);
+});
+
+test("other buyers' open checkouts hold places for TIER_HOLD_MS", async () => {
+  const orders = [order('success', 'a@x.com'), order('initialized', 'b@x.com', minutesAgo(5))];
+  assert.equal((await priceWith(orders)).tier.id, 'launch');
+
+  const stale = [order('success', 'a@x.com'), order('initialized', 'b@x.com', new Date(NOW - TIER_HOLD_MS - 1))];
+  assert.equal((await priceWith(stale)).tier.id, 'early');
+});
+
+test("the buyer's own open checkout doesn't count against them, however they type their email", async () => {
+  const orders = [order('success', 'a@x.com'), order('initialized', 'buyer@x.com', minutesAgo(5))];
+  const price = await priceWith(orders, { email: '  Buyer@X.com ' });
+  assert.equal(price.tier.id, 'early');
+  assert.equal(price.tier.remaining, 1);
+});
+
+test('failed checkouts and other tiers take no places', async () => {
+  const orders = [order('failed', 'a@x.com'), order('success', 'b@x.com', NOW, 'launch')];
+  assert.equal((await priceWith(orders)).tier.remaining, 2);
+});
+
+test('tiers outside their window are skipped', async () => {
+  const later = await priceWith([order('success', 'a@x.com'), order('success', 'b@x.com')], { now: new Date('2026-03-02T00:00:00Z') });
+  assert.equal(later.tier, null);
+  assert.equal(later.amountKobo, 2000000);
+});
+
+test('orderPricingTier records the regular price as tier "regular"', () => {
+  assert.deepEqual(orderPricingTier({ amountKobo: 2000000, regularAmountKobo: 2000000, tier: null }), {
+    tierId: 'regular',
+    label: undefined,
+    amountKobo: 2000000,
+    regularAmountKobo: 2000000
+  });
+});
+
+test('parsePriceTiers accepts a valid list and converts dates', () => {
+  const { tiers, error } = parsePriceTiers([
+    { tierId: 'early', label: 'Early', amountKobo: 1000000, maxOrders: 50, endsAt: '2026-03-02T00:00:00Z' }
+  ]);
+  assert.equal(error, undefined);
+  assert.equal(tiers.length, 1);
+  assert.ok(tiers[0].endsAt instanceof Date);
+  assert.equal(tiers[0].startsAt, undefined);
+  assert.deepEqual(parsePriceTiers([]), { tiers: [] });
+});
+
+test('parsePriceTiers names the first bad entry', () => {
+  const cases = [
+    [{}, /must be an array/],
+    [Array.from({ length: 21 }, (_, i) => ({ tierId: `t${i}`, amountKobo: 10000 })), /At most 20/],
+    [[{ tierId: 'regular', amountKobo: 10000 }], /priceTiers\[0\]\.tierId/],
+    [[{ tierId: 'has space', amountKobo: 10000 }], /priceTiers\[0\]\.tierId/],
+    [[{ tierId: 'a', amountKobo: 10000 }, { tierId: 'a', amountKobo: 10000 }], /priceTiers\[1\]\.tierId "a" is used twice/],
+    [[{ tierId: 'a', amountKobo: MIN_CHARGE_KOBO - 1 }], /amountKobo must be a whole number of at least 5000/],
+    [[{ tierId: 'a', amountKobo: 10000.5 }], /amountKobo/],
+    [[{ tierId: 'a', amountKobo: 10000, maxOrders: 0 }], /maxOrders must be a positive whole number/],
+    [[{ tierId: 'a', amountKobo: 10000, startsAt: 'soon' }], /must be valid dates/],
+    [[{ tierId: 'a', amountKobo: 10000, startsAt: '2026-03-02', endsAt: '2026-03-01' }], /endsAt must be after startsAt/]
+  ];
+  for (const [input, expected] of cases) {
+    assert.match(parsePriceTiers(input).error, expected);
+  }
+});
+
+test('couponDiscount takes a percentage off, rounded to the kobo', () => {
+  assert.equal(couponDiscount({ type: 'percent', value: 20 }, 1000000), 200000);
+  assert.equal(couponDiscount({ type: 'percent', value: 33 }, 999999), 330000);
+});
+
+test('couponDiscount takes a fixed amount off', () => {
+  assert.equal(couponDiscount({ type: 'fixed', value: 250000 }, 1000000), 250000);
+  assert.equal(couponDiscount({ type: 'fixed', value: 100.4 }, 1000000), 100);
+});
+
+test('couponDiscount stops at MIN_CHARGE_KOBO', () => {
+  assert.equal(couponDiscount({ type: 'percent', value: 100 }, 1000000), 1000000 - MIN_CHARGE_KOBO);
+  assert.equal(couponDiscount({ type: 'percent', value: 150 }, 1000000), 1000000 - MIN_CHARGE_KOBO);
+  assert.equal(couponDiscount({ type: 'fixed', value: 5000000 }, 1000000), 1000000 - MIN_CHARGE_KOBO);
+});
+
+test('couponDiscount is never negative', () => {
+  assert.equal(couponDiscount({ type: 'fixed', value: -500 }, 1000000), 0);
+  assert.equal(couponDiscount({ type: 'percent', value: 50 }, MIN_CHARGE_KOBO - 100), 0);
+});
@@ -0,0 +1,71 @@
+/**
+ * test/tokens.test.js - Signed link tokens (npm test)
+ * A token only verifies under the key that signed it, with its body untouched and
+ * (for cart links) for the purpose it was made for, until it expires.
+ */
+
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signDownloadToken, verifyDownloadToken, signCartToken, verifyCartToken } = require('../tokens');
+
+const KEY = 'test-download-key';
+const grant = { reference: 'ref_123', grantId: 'grant_abc', expiresAt: new Date('2026-03-01T12:00:00Z') };
+
+test('a download token round-trips its reference, grant and expiry', () => {
+  const token = signDownloadToken(KEY, grant);
+  assert.match(token, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  assert.deepEqual(verifyDownloadToken(KEY, token), grant);
+});
+
+test('a download token signed with another key is rejected', () => {
+  assert.equal(verifyDownloadToken(KEY, signDownloadToken('other-key', grant)), null);
+});
+
+test('a download token with an edited body is rejected', () => {
+  const [, sig] = signDownloadToken(KEY, grant).split('.');
+  const forged = Buffer.from(JSON.stringify({ r: 'ref_999', g: 'grant_abc', e: grant.expiresAt.getTime() })).toString('base64url');
+  assert.equal(verifyDownloadToken(KEY, `${forged}.${sig}`), null);
+});
+
+test('malformed download tokens are rejected', () => {
+  for (const token of [undefined, '', 'abc', 'abc.', '.abc', 'not-json.sig']) {
+    assert.equal(verifyDownloadToken(KEY, token), null, String(token));
+  }
+
+  // Correctly signed, but the body isn't JSON
+  const body = Buffer.from('not json').toString('base64url');
+  const sig = crypto.createHmac('sha256', KEY).update(body).digest('base64url');
+  assert.equal(verifyDownloadToken(KEY, `${body}.${sig}`), null);
+});
+
+test('a cart token round-trips its value for the same purpose', () => {
+  assert.equal(verifyCartToken(KEY, 'resume', signCartToken(KEY, 'resume', 'recovery_1', 60 * 1000)), 'recovery_1');
+  assert.equal(verifyCartToken(KEY, 'unsubscribe', signCartToken(KEY, 'unsubscribe', 'ada@example.com')), 'ada@example.com');
+});
+
+test('a cart token made for one purpose does not work for another', () => {
+  assert.equal(verifyCartToken(KEY, 'unsubscribe', signCartToken(KEY, 'resume', 'recovery_1', 60 * 1000)), null);
+});
+
+test('an expired cart token is rejected', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const token = signCartToken(KEY, 'resume', 'recovery_1', 60 * 1000);
+  t.mock.timers.tick(60 * 1000 - 1);
+  assert.equal(verifyCartToken(KEY, 'resume', token), 'recovery_1');
+  t.mock.timers.tick(2);
+  assert.equal(verifyCartToken(KEY, 'resume', token), null);
+});
+
+test('cart tokens without a ttl never expire', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const token = signCartToken(KEY, 'unsubscribe', 'ada@example.com');
+  t.mock.timers.tick(10 * 365 * 24 * 60 * 60 * 1000);
+  assert.equal(verifyCartToken(KEY, 'unsubscribe', token), 'ada@example.com');
+});
+
+test('forged or malformed cart tokens are rejected', () => {
+  assert.equal(verifyCartToken(KEY, 'resume', signCartToken('other-key', 'resume', 'recovery_1')), null);
+  assert.equal(verifyCartToken(KEY, 'resume', 'abc.def'), null);
+  assert.equal(verifyCartToken(KEY, 'resume', undefined), null);
+});
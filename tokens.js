@@ -0,0 +1,59 @@
+/**
+ * tokens.js - Signed link tokens
+ * Token = base64url(JSON claims) + '.' + HMAC-SHA256 of that body under the caller's key.
+ * The key is passed in so each kind of link signs with its own secret.
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./providers/util');
+
+const hmac = (key, body) => crypto.createHmac('sha256', key).update(body).digest('base64url');
+
+function signClaims(key, claims) {
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${body}.${hmac(key, body)}`;
+}
+
+// The claims, or null when the token is malformed or the signature doesn't match
+function readClaims(key, token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig || !safeEqual(sig, hmac(key, body))) return null;
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Signed download links: claims { r: reference, g: grantId, e: expiry }
+ * The grant on the order is the source of truth: reissuing rotates grantId, so old links die
+ */
+function signDownloadToken(key, { reference, grantId, expiresAt }) {
+  return signClaims(key, { r: reference, g: grantId, e: new Date(expiresAt).getTime() });
+}
+
+// Returns { reference, grantId, expiresAt } or null when the signature doesn't match
+function verifyDownloadToken(key, token) {
+  const claims = readClaims(key, token);
+  if (!claims) return null;
+  return { reference: claims.r, grantId: claims.g, expiresAt: new Date(claims.e) };
+}
+
+/**
+ * Cart recovery links: claims { p: purpose, v: value, e: expiry? }
+ * The purpose ('resume', 'unsubscribe') stops a token made for one link working for another
+ */
+function signCartToken(key, purpose, value, ttlMs) {
+  return signClaims(key, { p: purpose, v: value, e: ttlMs ? Date.now() + ttlMs : undefined });
+}
+
+// Returns the signed value, or null when the token is forged, expired or for another purpose
+function verifyCartToken(key, purpose, token) {
+  const claims = readClaims(key, token);
+  if (!claims || claims.p !== purpose || (claims.e && claims.e < Date.now())) return null;
+  return claims.v;
+}
+
+module.exports = { signDownloadToken, verifyDownloadToken, signCartToken, verifyCartToken };
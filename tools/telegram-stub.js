@@ -0,0 +1,88 @@
+/**
+ * tools/telegram-stub.js - Fake Telegram Bot API for testing the admin bot locally
+ *
+ *   TELEGRAM_API_URL=http://localhost:8081 npm start   (server.js talks to the stub)
+ *   npm run telegram:stub                                (this file)
+ *
+ * Bot API calls (sendMessage, answerCallbackQuery, ...) are printed and kept in memory.
+ * Fake updates are pushed to the webhook the way Telegram would:
+ *
+ *   curl -XPOST localhost:8081/_update -H 'Content-Type: application/json' -d '{"text":"/today"}'
+ *   curl -XPOST localhost:8081/_update -H 'Content-Type: application/json' -d '{"data":"guide_sent:GV3-..."}'
+ *   curl localhost:8081/_sent
+ *
+ * "chat" defaults to TELEGRAM_CHAT_ID and "from" to the first TELEGRAM_ADMIN_IDS user;
+ * pass {"userId": 123, "chatId": 123} to act as someone else.
+ */
+
+require('dotenv').config();
+const express = require('express');
+const axios = require('axios');
+
+const PORT = Number(process.env.TELEGRAM_STUB_PORT || 8081);
+const WEBHOOK_URL = process.env.TELEGRAM_STUB_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhooks/telegram`;
+const SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || '';
+const DEFAULT_CHAT_ID = Number(process.env.TELEGRAM_CHAT_ID || 1);
+const DEFAULT_USER_ID = Number((process.env.TELEGRAM_ADMIN_IDS || '').split(',')[0] || 1);
+
+const sent = [];
+let nextUpdateId = Date.now();
+let nextMessageId = 1;
+
+const app = express();
+app.use(express.json());
+
+// Updates are posted to the webhook, as Telegram does after setWebhook
+app.post('/_update', async (req, res) => {
+  const { text, data, chatId = DEFAULT_CHAT_ID, userId = DEFAULT_USER_ID, username = 'stub_admin', messageId } = req.body || {};
+  const from = { id: Number(userId), is_bot: false, username };
+  const chat = { id: Number(chatId), type: Number(chatId) < 0 ? 'group' : 'private' };
+  const update = { update_id: nextUpdateId++ };
+
+  if (data) {
+    update.callback_query = {
+      id: String(update.update_id),
+      from,
+      data,
+      message: { message_id: messageId || nextMessageId - 1, chat, date: Math.floor(Date.now() / 1000) }
+    };
+  } else {
+    update.message = { message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000), text: text || '/help' };
+  }
+
+  try {
+    const response = await axios.post(WEBHOOK_URL, update, {
+      headers: { 'X-Telegram-Bot-Api-Secret-Token': SECRET },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+    console.log(`➡️  update ${update.update_id} → ${response.status}`, response.data);
+    res.json({ ok: true, update, webhook: { status: response.status, body: response.data } });
+  } catch (e) {
+    console.error('❌ Webhook unreachable:', e.message);
+    res.status(502).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/_sent', (req, res) => res.json({ ok: true, sent }));
+
+app.delete('/_sent', (req, res) => {
+  sent.length = 0;
+  res.json({ ok: true });
+});
+
+// Bot API: every method succeeds; sendMessage gets a message_id so buttons can be pressed later
+app.post('/bot:token/:method', (req, res) => {
+  const call = { at: new Date(), method: req.params.method, payload: req.body };
+  sent.push(call);
+  console.log(`⬅️  ${call.method}`, JSON.stringify(req.body, null, 2));
+
+  const result = call.method === 'sendMessage'
+    ? { message_id: nextMessageId++, chat: { id: req.body.chat_id }, date: Math.floor(Date.now() / 1000), text: req.body.text }
+    : true;
+  res.json({ ok: true, result });
+});
+
+app.listen(PORT, () => {
+  console.log(`🤖 Telegram stub on http://localhost:${PORT} → webhook ${WEBHOOK_URL}`);
+});
@@ -0,0 +1,97 @@
+/**
+ * tools/whatsapp-stub.js - Fake WhatsApp Cloud API for testing guide delivery locally
+ *
+ *   WHATSAPP_GRAPH_URL=http://localhost:8082 npm start   (server.js talks to the stub)
+ *   npm run whatsapp:stub                                  (this file)
+ *
+ * POST /:version/:phoneNumberId/messages accepts template sends and, a moment later,
+ * posts signed sent → delivered → read status webhooks back to the server.
+ * Failures can be forced per number:
+ *   curl -XPOST localhost:8082/_fail -H 'Content-Type: application/json' -d '{"to":"2348031234567","mode":"reject"}'
+ *     mode reject: the send call itself returns 400 (invalid number)
+ *     mode undeliverable: the send is accepted, then a "failed" status is posted
+ *     mode none: back to normal
+ *   curl localhost:8082/_sent
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = Number(process.env.WHATSAPP_STUB_PORT || 8082);
+const WEBHOOK_URL = process.env.WHATSAPP_STUB_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhooks/whatsapp`;
+const APP_SECRET = process.env.WHATSAPP_APP_SECRET || '';
+const STEP_MS = Number(process.env.WHATSAPP_STUB_STEP_MS || 1500);
+
+const sent = [];
+const failures = new Map(); // to → reject | undeliverable
+
+const app = express();
+app.use(express.json());
+
+async function postStatus(messageId, to, status, errors) {
+  const body = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'stub',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          statuses: [{ id: messageId, status, timestamp: String(Math.floor(Date.now() / 1000)), recipient_id: to, ...(errors ? { errors } : {}) }]
+        }
+      }]
+    }]
+  });
+  const signature = `sha256=${crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex')}`;
+
+  try {
+    const response = await axios.post(WEBHOOK_URL, body, {
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+    console.log(`➡️  ${status} for ${messageId} → ${response.status}`);
+  } catch (e) {
+    console.error(`❌ Status webhook for ${messageId} failed:`, e.message);
+  }
+}
+
+app.post('/_fail', (req, res) => {
+  const { to, mode } = req.body || {};
+  if (!to) return res.status(400).json({ ok: false, error: 'to required' });
+  if (!mode || mode === 'none') failures.delete(String(to));
+  else failures.set(String(to), mode);
+  res.json({ ok: true, failures: Object.fromEntries(failures) });
+});
+
+app.get('/_sent', (req, res) => res.json({ ok: true, sent }));
+
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+  const { to, template } = req.body || {};
+  const call = { at: new Date(), phoneNumberId: req.params.phoneNumberId, to, template, auth: Boolean(req.headers.authorization) };
+  sent.push(call);
+  console.log('⬅️  messages', JSON.stringify(req.body, null, 2));
+
+  if (failures.get(String(to)) === 'reject') {
+    return res.status(400).json({
+      error: { message: '(#131026) Message undeliverable', type: 'OAuthException', code: 131026, error_data: { details: 'Recipient is not a valid WhatsApp user' } }
+    });
+  }
+
+  const messageId = `wamid.STUB${crypto.randomBytes(8).toString('hex')}`;
+  call.messageId = messageId;
+  res.json({ messaging_product: 'whatsapp', contacts: [{ input: to, wa_id: to }], messages: [{ id: messageId }] });
+
+  const steps = failures.get(String(to)) === 'undeliverable'
+    ? [['failed', [{ code: 131047, title: 'Re-engagement message', error_data: { details: 'More than 24 hours have passed' } }]]]
+    : [['sent'], ['delivered'], ['read']];
+  steps.forEach(([status, errors], i) => {
+    setTimeout(() => postStatus(messageId, to, status, errors), STEP_MS * (i + 1));
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`💬 WhatsApp stub on http://localhost:${PORT} → webhook ${WEBHOOK_URL}`);
+});